@@ -5,125 +5,233 @@ CAROUSEL CONTROLLER - 3D Interactive Showcase
 Purpose: Advanced carousel with 3D transforms and physics
 Performance: GPU-accelerated transforms with touch support
 Motion: Smooth momentum scrolling with spring physics
+Layouts: 'linear' (a sliding row) or 'ring' (a true cylindrical 3D ring)
+Looping: The linear row clones its edge items so it can run past either end
+and silently jump back; the ring simply keeps turning
 */
 
 // ===================================================
 // 1. CAROUSEL CONFIGURATION
 // ===================================================
 const carouselConfig = {
-    itemWidth: 320,           // Width of each carousel item
+    layout: 'linear',         // 'linear' row or 'ring' (cylinder rotating around the Y axis)
+    ringPerspective: 1200,    // Ring only: CSS perspective in px (lower is more dramatic)
+    itemWidth: 320,           // Fallback item width when the DOM can't be measured (ring: the item width)
     itemGap: 32,              // Gap between items
+    slidesPerView: null,      // Linear only: size items so this many fit; null keeps the CSS width
+    centered: false,          // Linear only: keep the current item in the middle of the view
+    breakpoints: {            // Overrides by minimum viewport width, like min-width media queries
+        0: { itemGap: 16 },
+        768: { itemGap: 32 }
+    },
     transitionDuration: 600,  // Animation duration in ms
     easing: 'cubic-bezier(0.34, 1.56, 0.64, 1)', // Spring easing
-    autoplay: false,          // Auto-advance carousel
+    autoplay: false,          // Auto-advance carousel (starts paused under prefers-reduced-motion)
     autoplayDelay: 5000,      // Delay between auto-advances
     loop: true,               // Enable infinite loop
     dragEnabled: true,        // Enable drag/swipe
     dragThreshold: 50,        // Minimum drag distance to trigger slide
+    dragIntentDistance: 8,    // Movement (px) before a press becomes a drag (touch: swipe or scroll)
+    momentum: 250,            // How far (ms of release velocity) a throw carries on
+    wheelEnabled: true,       // Horizontal trackpad swipes and shift+wheel over the track
+    wheelIdle: 200,           // Quiet time (ms) that ends a trackpad swipe
+    maxMomentumItems: 3,      // Most items a single throw can move
+    pagination: 'dots',       // 'dots', 'thumbnails' or false
+    label: null,              // Accessible name; null uses the section heading
+    deepLink: false,          // Sync with the URL hash (#showcase/3): a hash prefix, or true for the section id
+    slides: null,             // Array of { title, description, image, gradient } replacing the markup
+    slidesUrl: null,          // JSON file with such an array (loaded after the markup shows)
+    lazyRange: 1,             // Load images for items this close to the current one
 };
 
 // ===================================================
 // 2. CAROUSEL CLASS
 // ===================================================
+// Numbers generated track ids (for aria-controls)
+let carouselIdCounter = 0;
+
+// Every live carousel by its container element (see Carousel3D.get)
+const carouselRegistry = new Map();
+
 class Carousel3D {
-    constructor(container, config) {
+    // `options` override carouselConfig for this carousel only. Unset keys
+    // fall through to the shared object, so later changes to it still apply.
+    constructor(container, options = {}) {
         this.container = container;
         this.track = container.querySelector('.carousel-track');
         this.items = Array.from(this.track.querySelectorAll('.carousel-item'));
-        this.config = config;
+        this.slides = this.items;  // Every item on the track in order, clones included
+        this.config = Object.assign(Object.create(carouselConfig), options);
         
         // State
-        this.currentIndex = 0;
+        this.currentIndex = 0;     // Logical index into this.items
+        this.position = 0;         // Slot on the track (differs from the index while looping)
+        this.cloneCount = 0;       // Clones on each side of the originals
         this.totalItems = this.items.length;
         this.isAnimating = false;
         this.autoplayTimer = null;
+        this.autoplayRemaining = 0; // Time left until the next advance, kept while paused
+        this.autoplayStarted = 0;   // When the current countdown (re)started
+        this.pauseReasons = new Set(); // Why autoplay is waiting: 'user', 'hidden', 'offscreen', 'focus', 'hover', 'drag'
+        this.countdown = null;      // Animation filling the countdown bar
+        this.visibilityObserver = null;
+        this.trackTransform = '';  // Last transform applied to the track
+        this.trackAnimation = null;
+        this.ringRotation = 0;     // Ring layout: accumulated track angle in degrees
+        this.layout = null;        // Measured sizes and active breakpoint settings (see measure)
+        this.resizeObserver = null;
+        this.resizeTimer = null;
+        this.deepLinkId = null;    // Hash prefix for deep links (see setupDeepLink)
+        this.autoplayStep = false; // True while autoplay moves, which leaves the URL alone
         
         // Drag state
         this.isDragging = false;
         this.startX = 0;
+        this.startY = 0;
         this.currentX = 0;
         this.dragDistance = 0;
+        this.dragAxis = null;      // 'x' once a press has moved enough to be a drag
+        this.dragSource = null;    // 'mouse' or 'touch'
+        this.dragSamples = [];     // Recent { x, time } for the release velocity
+        this.wheel = null;         // Trackpad swipe in progress (see handleWheel)
+        
+        // Event handlers by type (see on/off) and DOM listeners for destroy()
+        this.handlers = {};
+        this.listeners = [];
+        this.destroyed = false;
+        this.lightbox = null;      // Set by lightbox.js on data-lightbox carousels
+        
+        // Attributes (inline styles, classes, ARIA) as they were before setup,
+        // and the track's markup in case data-driven slides replace it
+        this.snapshot = this.takeSnapshot();
+        this.markupNodes = Array.from(this.track.childNodes);
+        this.slidesChanged = false;
         
         // Initialize
+        carouselRegistry.set(container, this);
         this.init();
     }
     
+    // Find the carousel for its container or any element inside it
+    static get(element) {
+        const container = element && element.closest('.carousel-container');
+        return container ? carouselRegistry.get(container) || null : null;
+    }
+    
+    static getAll() {
+        return Array.from(carouselRegistry.values());
+    }
+    
     init() {
+        // Prepare the 3D stage for the ring layout
+        if (this.isRing()) {
+            this.container.classList.add('carousel-ring');
+            this.container.style.perspective = `${this.config.ringPerspective}px`;
+        }
+        
+        // Slides from data replace the markup before anything is measured
+        if (Array.isArray(this.config.slides)) {
+            this.renderSlides(this.config.slides);
+        }
+        
+        this.measure();
+        this.buildClones();
+        this.setupAccessibility();
+        
         // Set up event listeners
         this.setupControls();
         this.setupDrag();
+        this.setupWheel();
         this.setupKeyboard();
+        this.setupResize();
+        this.setupDeepLink();
         
         // Initial positioning
         this.updateCarousel(false); // No animation on init
         
         // Start autoplay if enabled
         if (this.config.autoplay) {
-            this.startAutoplay();
+            this.setupAutoplay();
         }
         
-        // Pause autoplay on hover
-        this.container.addEventListener('mouseenter', () => this.stopAutoplay());
-        this.container.addEventListener('mouseleave', () => {
-            if (this.config.autoplay) this.startAutoplay();
-        });
-        
         console.log('🎠 Carousel initialized with', this.totalItems, 'items');
+        
+        if (this.config.slidesUrl) {
+            this.loadSlides(this.config.slidesUrl);
+        }
     }
     
     // ===================================================
     // 3. CAROUSEL CONTROLS
     // ===================================================
+    // Controls belong to this container, so several carousels can share a page
     setupControls() {
-        const prevBtn = document.getElementById('prevBtn');
-        const nextBtn = document.getElementById('nextBtn');
+        const prevBtn = this.container.querySelector('.prev-btn');
+        const nextBtn = this.container.querySelector('.next-btn');
         
         if (prevBtn) {
-            prevBtn.addEventListener('click', () => this.prev());
+            this.listen(prevBtn, 'click', () => this.prev());
         }
         
         if (nextBtn) {
-            nextBtn.addEventListener('click', () => this.next());
+            this.listen(nextBtn, 'click', () => this.next());
         }
+        
+        // Pagination is rebuilt when slides change, so listen once on the container
+        this.listen(this.container, 'click', (e) => {
+            const button = e.target.closest('.carousel-dot, .carousel-thumb');
+            if (button && this.container.contains(button)) this.goTo(Number(button.dataset.index));
+        });
     }
     
     // Navigate to previous item
     prev() {
-        if (this.isAnimating) return;
-        
-        this.currentIndex--;
-        
-        // Handle looping
-        if (this.currentIndex < 0) {
-            this.currentIndex = this.config.loop ? this.totalItems - 1 : 0;
-        }
-        
-        this.updateCarousel();
-        this.resetAutoplay();
+        this.moveBy(-1);
     }
     
     // Navigate to next item
     next() {
-        if (this.isAnimating) return;
+        this.moveBy(1);
+    }
+    
+    // Move by whole items. When looping, the track keeps moving in the same
+    // direction onto the clones and settleLoop() jumps back once it stops.
+    moveBy(delta) {
+        if (this.isAnimating || delta === 0 || this.totalItems === 0) return;
         
-        this.currentIndex++;
+        const previousIndex = this.currentIndex;
+        const index = this.currentIndex + delta;
         
         // Handle looping
-        if (this.currentIndex >= this.totalItems) {
-            this.currentIndex = this.config.loop ? 0 : this.totalItems - 1;
+        if (this.config.loop) {
+            this.currentIndex = ((index % this.totalItems) + this.totalItems) % this.totalItems;
+            this.position += delta;
+            
+            // Further than the clones reach: take the direct route instead
+            if (this.position < 0 || this.position >= this.slides.length) {
+                this.position = this.cloneCount + this.currentIndex;
+            }
+        } else {
+            this.currentIndex = Math.max(0, Math.min(index, this.totalItems - 1));
+            this.position = this.currentIndex;
         }
         
         this.updateCarousel();
         this.resetAutoplay();
+        this.emitChange(previousIndex);
     }
     
-    // Navigate to specific index
-    goTo(index) {
-        if (this.isAnimating || index === this.currentIndex) return;
+    // Navigate to specific index; without animation it also cuts a move short
+    goTo(index, animate = true) {
+        if ((animate && this.isAnimating) || index === this.currentIndex) return;
         
+        this.stopTrackAnimation();
+        const previousIndex = this.currentIndex;
         this.currentIndex = Math.max(0, Math.min(index, this.totalItems - 1));
-        this.updateCarousel();
+        this.position = this.cloneCount + this.currentIndex;
+        this.updateCarousel(animate);
         this.resetAutoplay();
+        this.emitChange(previousIndex);
     }
     
     // ===================================================
@@ -131,58 +239,314 @@ class Carousel3D {
     // ===================================================
     updateCarousel(animate = true) {
         // Calculate transform
-        const offset = -this.currentIndex * (this.config.itemWidth + this.config.itemGap);
+        if (this.isRing()) this.ringRotation = this.getRingRotation();
+        const transform = this.getTrackTransform();
         
         if (animate) {
             this.isAnimating = true;
             
             // Animate track position
-            this.track.animate([
-                { transform: `translateX(${parseFloat(this.track.style.transform.replace('translateX(', '').replace('px)', '')) || 0}px)` },
-                { transform: `translateX(${offset}px)` }
+            this.trackAnimation = this.track.animate([
+                { transform: this.trackTransform || transform },
+                { transform }
             ], {
                 duration: this.config.transitionDuration,
                 easing: this.config.easing,
                 fill: 'forwards'
-            }).onfinish = () => {
-                this.track.style.transform = `translateX(${offset}px)`;
+            });
+            this.trackAnimation.onfinish = () => {
+                // Hand the end state to the inline style so later drags and jumps can move it
+                this.setTrackTransform(transform);
+                this.trackAnimation.cancel();
+                this.trackAnimation = null;
                 this.isAnimating = false;
+                this.settleLoop();
             };
         } else {
             // Set position without animation
-            this.track.style.transform = `translateX(${offset}px)`;
+            this.setTrackTransform(transform);
         }
+        this.trackTransform = transform;
         
         // Update item states (add active class, scale, etc.)
-        this.updateItemStates();
+        this.updateItemStates(animate);
         
         // Update progress bar
         this.updateProgress();
+        
+        // Update pagination, inert items and the announcement
+        this.updateAccessibility(animate);
+        
+        // Load images that are about to come into view
+        this.loadNearbyImages();
+    }
+    
+    // Drop a running move where it is; callers set the new position
+    stopTrackAnimation() {
+        if (!this.trackAnimation) return;
+        
+        this.trackAnimation.cancel();
+        this.trackAnimation = null;
+        this.isAnimating = false;
+    }
+    
+    // Track transform for the current index, shifted by an in-progress drag
+    getTrackTransform(dragDistance = 0) {
+        const step = this.getStep();
+        
+        if (this.isRing()) {
+            // Push the ring back by its radius so the front item sits at its normal size
+            const angle = this.ringRotation + (dragDistance / step) * this.getRingStep();
+            return `translateZ(${-this.getRingRadius()}px) rotateY(${angle}deg)`;
+        }
+        
+        return `translateX(${this.getTrackOffset() - this.position * step + dragDistance}px)`;
+    }
+    
+    // Apply a transform instantly, skipping the stylesheet's CSS transition
+    setTrackTransform(transform) {
+        this.track.style.transition = 'none';
+        this.track.style.transform = transform;
+        void this.track.offsetWidth; // Flush the style before transitions return
+        this.track.style.transition = '';
     }
     
     // ===================================================
-    // 5. ITEM STATE MANAGEMENT
+    // 5. MEASUREMENT & BREAKPOINTS
     // ===================================================
-    // Purpose: Apply different styles to active/inactive items
-    updateItemStates() {
-        this.items.forEach((item, index) => {
-            const distance = Math.abs(index - this.currentIndex);
+    // Purpose: Positions come from the real item size in the DOM, so CSS media
+    // queries, slidesPerView and container changes all line up. A ResizeObserver
+    // re-measures and snaps the track into place without animation.
+    
+    // Settings for the current viewport: config plus every breakpoint at or below it
+    getResponsiveSettings() {
+        const settings = {
+            itemWidth: this.config.itemWidth,
+            itemGap: this.config.itemGap,
+            slidesPerView: this.config.slidesPerView,
+            centered: this.config.centered
+        };
+        const breakpoints = this.config.breakpoints || {};
+        
+        Object.keys(breakpoints)
+            .map(Number)
+            .sort((a, b) => a - b)
+            .filter(minWidth => window.innerWidth >= minWidth)
+            .forEach(minWidth => {
+                Object.keys(settings).forEach(key => {
+                    if (key in breakpoints[minWidth]) settings[key] = breakpoints[minWidth][key];
+                });
+            });
+        
+        return settings;
+    }
+    
+    // Apply the breakpoint settings to the DOM, then read the sizes back
+    measure() {
+        const settings = this.getResponsiveSettings();
+        const viewport = this.container.clientWidth || 0;
+        const trackStyle = getComputedStyle(this.track);
+        const padding = parseFloat(trackStyle.paddingLeft) || 0;
+        
+        if (this.isRing()) {
+            this.track.style.width = `${settings.itemWidth}px`;
+        } else {
+            this.track.style.gap = `${settings.itemGap}px`;
+            
+            // Share the space inside the track's padding between slidesPerView items
+            const available = viewport - padding - (parseFloat(trackStyle.paddingRight) || 0);
+            const perView = settings.slidesPerView;
+            const basis = perView > 0 && available > 0
+                ? `${(available - settings.itemGap * (perView - 1)) / perView}px`
+                : '';
+            this.track.querySelectorAll('.carousel-item').forEach(item => {
+                item.style.flexBasis = basis;
+            });
+        }
+        
+        // offsetWidth ignores the items' own 3D transforms
+        const first = this.items[0];
+        const itemWidth = (first && first.offsetWidth) || settings.itemWidth;
+        
+        this.layout = {
+            itemWidth,
+            gap: settings.itemGap,
+            padding,
+            viewport,
+            centered: !this.isRing() && Boolean(settings.centered)
+        };
+        return this.layout;
+    }
+    
+    // Distance between neighbouring items
+    getStep() {
+        return this.layout.itemWidth + this.layout.gap;
+    }
+    
+    // Linear only: shift that puts the current item in the middle when centered
+    getTrackOffset() {
+        const { centered, viewport, itemWidth, padding } = this.layout;
+        return centered ? (viewport - itemWidth) / 2 - padding : 0;
+    }
+    
+    // Re-measure after a resize and snap to the current item, no animation
+    relayout() {
+        const previous = this.layout;
+        const layout = this.measure();
+        const changed = Object.keys(layout).some(key => layout[key] !== previous[key]);
+        if (!changed || this.totalItems === 0) return;
+        
+        this.stopTrackAnimation();
+        
+        // A wider view may need more clones to hide the loop
+        if (this.getCloneCount() !== this.cloneCount) {
+            this.buildClones();
+        } else {
+            this.position = this.cloneCount + this.currentIndex;
+        }
+        
+        // A drag in progress picks the new sizes up on its next move
+        if (this.isDragging) return;
+        
+        this.trackTransform = this.getTrackTransform();
+        this.setTrackTransform(this.trackTransform);
+        this.updateItemStates(false);
+        this.updateAccessibility(false);
+    }
+    
+    // ResizeObserver fires once per layout change; the window fallback is debounced
+    setupResize() {
+        if (typeof ResizeObserver === 'function') {
+            this.resizeObserver = new ResizeObserver(() => this.relayout());
+            this.resizeObserver.observe(this.container);
+            return;
+        }
+        
+        this.listen(window, 'resize', () => {
+            clearTimeout(this.resizeTimer);
+            this.resizeTimer = setTimeout(() => this.relayout(), 100);
+        });
+    }
+    
+    // ===================================================
+    // 6. SEAMLESS LOOP
+    // ===================================================
+    // Purpose: Clone items onto both ends of the linear track, enough to fill
+    // the view, so moving past the last item shows the first one coming round
+    
+    // Clones needed on each side: a view's worth (centered shows both sides)
+    getCloneCount() {
+        if (!this.config.loop || this.isRing() || this.totalItems < 2) return 0;
+        
+        const visible = Math.ceil(this.layout.viewport / this.getStep()) || 3;
+        return Math.min(this.totalItems, visible + 1);
+    }
+    
+    buildClones() {
+        this.track.querySelectorAll('.carousel-clone').forEach(clone => clone.remove());
+        this.cloneCount = this.getCloneCount();
+        
+        if (this.cloneCount > 0) {
+            const makeClone = (item) => {
+                const clone = item.cloneNode(true);
+                clone.classList.add('carousel-clone');
+                clone.setAttribute('aria-hidden', 'true');
+                clone.inert = true;
+                clone.querySelectorAll('[id]').forEach(element => element.removeAttribute('id'));
+                return clone;
+            };
+            
+            // Tail clones before the first item, head clones after the last
+            const before = this.items.slice(-this.cloneCount).map(makeClone);
+            const after = this.items.slice(0, this.cloneCount).map(makeClone);
+            this.items[0].before(...before);
+            this.items[this.items.length - 1].after(...after);
+        }
+        
+        this.slides = Array.from(this.track.querySelectorAll('.carousel-item'));
+        this.position = this.cloneCount + this.currentIndex;
+    }
+    
+    // After landing on a clone, jump to the matching original without animation
+    settleLoop() {
+        const home = this.cloneCount + this.currentIndex;
+        if (this.position === home) return;
+        
+        this.position = home;
+        this.trackTransform = this.getTrackTransform();
+        this.setTrackTransform(this.trackTransform);
+        this.updateItemStates(false);
+        this.updateAccessibility(false);
+    }
+    
+    // ===================================================
+    // 7. RING LAYOUT
+    // ===================================================
+    // Purpose: Items stand on a cylinder, each rotateY(angle) translateZ(radius);
+    // the whole track rotates to bring the current index to the front
+    isRing() {
+        return this.config.layout === 'ring';
+    }
+    
+    // Degrees between neighbouring items
+    getRingStep() {
+        return 360 / this.totalItems;
+    }
+    
+    // Radius at which items of this width (plus gap) just fit around the circle
+    getRingRadius() {
+        const chord = this.getStep();
+        if (this.totalItems < 3) return chord / 2;
+        return Math.round(chord / (2 * Math.tan(Math.PI / this.totalItems)));
+    }
+    
+    // Angle for the current index, taking the short way round from the
+    // current angle so looping past the last item keeps turning forwards
+    getRingRotation() {
+        const target = -this.currentIndex * this.getRingStep();
+        const turns = Math.round((this.ringRotation - target) / 360);
+        return target + turns * 360;
+    }
+    
+    // Distance in items from the current one, by track slot. On the ring,
+    // items the other way round count as close too.
+    getItemDistance(slot) {
+        if (!this.isRing()) return Math.abs(slot - this.position);
+        
+        const distance = Math.abs(slot - this.currentIndex);
+        return Math.min(distance, this.totalItems - distance);
+    }
+    
+    // ===================================================
+    // 8. ITEM STATE MANAGEMENT
+    // ===================================================
+    // Purpose: Apply different styles to active/inactive items.
+    // Works on track slots, so a clone standing in for the current item
+    // looks active until settleLoop() swaps the original back in.
+    updateItemStates(animateActive = true) {
+        this.slides.forEach((item, index) => {
+            const distance = this.getItemDistance(index);
             
             // Remove all state classes
             item.classList.remove('active', 'adjacent', 'distant');
             
             // Apply state based on distance from current
-            if (index === this.currentIndex) {
+            if (distance === 0) {
                 item.classList.add('active');
-                this.animateActiveItem(item);
+                if (animateActive) this.animateActiveItem(item);
             } else if (distance === 1) {
                 item.classList.add('adjacent');
             } else {
                 item.classList.add('distant');
             }
             
+            if (this.isRing()) {
+                this.positionRingItem(item, index);
+                return;
+            }
+            
             // Apply 3D perspective based on position
-            const offset = (index - this.currentIndex) * 15; // degrees
+            const offset = (index - this.position) * 15; // degrees
             item.style.transform = `
                 perspective(1000px)
                 rotateY(${offset}deg)
@@ -193,6 +557,17 @@ class Carousel3D {
         });
     }
     
+    // Place an item on the ring; items facing away are hidden
+    positionRingItem(item, index) {
+        const angle = index * this.getRingStep();
+        const facing = Math.cos(((angle + this.ringRotation) * Math.PI) / 180);
+        
+        item.style.transform = `rotateY(${angle}deg) translateZ(${this.getRingRadius()}px)`;
+        item.style.opacity = facing > 0.01 ? 0.3 + facing * 0.7 : 0;
+        item.style.zIndex = '';
+        item.classList.toggle('ring-back', facing <= 0.01);
+    }
+    
     // Special animation for active item
     animateActiveItem(item) {
         const inner = item.querySelector('.item-inner');
@@ -209,77 +584,411 @@ class Carousel3D {
     }
     
     // ===================================================
-    // 6. PROGRESS BAR UPDATE
+    // 9. DATA-DRIVEN SLIDES
+    // ===================================================
+    // Purpose: Build items from data instead of markup. A slide is
+    // { title, description, image, alt, gradient, overlay, accent }; gradient is
+    // a class from the stylesheet (e.g. 'gradient-3') or any CSS background.
+    // Images only load near the current item (see loadNearbyImages).
+    createSlide(slide) {
+        const item = document.createElement('div');
+        item.className = 'carousel-item';
+        if (slide.accent) item.dataset.accent = slide.accent;
+        
+        const inner = document.createElement('div');
+        inner.className = 'item-inner';
+        
+        const imageBox = document.createElement('div');
+        imageBox.className = 'item-image';
+        
+        const isGradientClass = /^gradient-[\w-]+$/.test(slide.gradient || '');
+        if (slide.image) {
+            // The gradient, if any, shows until the image arrives
+            const image = document.createElement('img');
+            image.dataset.src = slide.image;
+            image.alt = slide.alt || slide.title || '';
+            image.decoding = 'async';
+            if (slide.gradient && !isGradientClass) imageBox.style.background = slide.gradient;
+            if (isGradientClass) imageBox.classList.add(slide.gradient);
+            imageBox.appendChild(image);
+        } else {
+            const placeholder = document.createElement('div');
+            placeholder.className = `placeholder-gradient ${isGradientClass ? slide.gradient : ''}`.trim();
+            if (slide.gradient && !isGradientClass) placeholder.style.background = slide.gradient;
+            imageBox.appendChild(placeholder);
+        }
+        
+        const overlay = document.createElement('div');
+        overlay.className = 'image-overlay';
+        const overlayText = document.createElement('span');
+        overlayText.className = 'overlay-text';
+        overlayText.textContent = slide.overlay || slide.title || '';
+        overlay.appendChild(overlayText);
+        imageBox.appendChild(overlay);
+        
+        const info = document.createElement('div');
+        info.className = 'item-info';
+        const title = document.createElement('h3');
+        title.textContent = slide.title || '';
+        const description = document.createElement('p');
+        description.textContent = slide.description || '';
+        info.append(title, description);
+        
+        inner.append(imageBox, info);
+        item.appendChild(inner);
+        return item;
+    }
+    
+    // Replace every item with slides built from data (no state update)
+    renderSlides(slides) {
+        this.slidesChanged = true;
+        this.track.replaceChildren(...slides.map(slide => this.createSlide(slide)));
+        this.items = Array.from(this.track.querySelectorAll('.carousel-item'));
+        this.totalItems = this.items.length;
+    }
+    
+    // Replace all slides and keep the current index where possible
+    setSlides(slides) {
+        this.renderSlides(slides);
+        this.refresh();
+        return this;
+    }
+    
+    // Insert a slide at `index` (default: the end)
+    addSlide(slide, index = this.totalItems) {
+        const item = this.createSlide(slide);
+        const before = this.items[index];
+        
+        if (before) {
+            before.before(item);
+        } else if (this.items.length) {
+            this.items[this.items.length - 1].after(item);
+        } else {
+            this.track.appendChild(item);
+        }
+        
+        // Keep the same item current when inserting before it
+        if (index <= this.currentIndex && this.totalItems > 0) this.currentIndex++;
+        this.refresh();
+        return this;
+    }
+    
+    removeSlide(index) {
+        const item = this.items[index];
+        if (!item) return this;
+        
+        const previousIndex = this.currentIndex;
+        item.remove();
+        if (index < this.currentIndex) this.currentIndex--;
+        this.refresh();
+        
+        // Removing the current item lands on its neighbour
+        if (index === previousIndex) this.emit('change', { previousIndex, index: this.currentIndex });
+        return this;
+    }
+    
+    // Fetch slides from a JSON file: an array, or { slides: [...] }
+    loadSlides(url) {
+        return fetch(url)
+            .then(response => {
+                if (!response.ok) throw new Error(`HTTP ${response.status}`);
+                return response.json();
+            })
+            .then(data => {
+                if (this.destroyed) return;
+                this.setSlides(Array.isArray(data) ? data : data.slides || []);
+                console.log('🎠 Loaded', this.totalItems, 'slides from', url);
+            })
+            .catch(error => console.error('❌ Could not load carousel slides:', error.message));
+    }
+    
+    // Re-read the items after they changed and bring every derived part up to
+    // date: clones, ARIA labels, pagination, state classes and the progress bar
+    refresh() {
+        this.slidesChanged = true;
+        this.stopTrackAnimation();
+        
+        this.items = Array.from(this.track.querySelectorAll('.carousel-item:not(.carousel-clone)'));
+        this.totalItems = this.items.length;
+        this.currentIndex = Math.max(0, Math.min(this.currentIndex, this.totalItems - 1));
+        
+        this.measure();
+        this.buildClones();
+        this.labelItems();
+        this.buildPagination();
+        this.updateCarousel(false);
+        this.emit('slideschange', { total: this.totalItems });
+    }
+    
+    // Logical index of a track slot (clones map to their originals)
+    getSlotIndex(slot) {
+        if (!this.cloneCount) return slot;
+        return (((slot - this.cloneCount) % this.totalItems) + this.totalItems) % this.totalItems;
+    }
+    
+    // Give lazy images within lazyRange of the current item their real src.
+    // Clones count too, so the item coming round the loop is ready in time.
+    loadNearbyImages() {
+        const range = this.config.lazyRange;
+        
+        this.slides.forEach((item, slot) => {
+            const index = this.getSlotIndex(slot);
+            let distance = Math.abs(index - this.currentIndex);
+            if (this.config.loop) distance = Math.min(distance, this.totalItems - distance);
+            if (distance > range) return;
+            
+            item.querySelectorAll('img[data-src]').forEach(image => {
+                image.src = image.dataset.src;
+                image.removeAttribute('data-src');
+            });
+        });
+    }
+    
+    // ===================================================
+    // 10. ACCESSIBILITY & PAGINATION
+    // ===================================================
+    // Purpose: WAI-ARIA carousel pattern - a labelled region of "slide" groups,
+    // a polite live region for changes, and generated dot/thumbnail buttons.
+    // Items outside the view are inert, so Tab and screen readers skip them.
+    setupAccessibility() {
+        const heading = this.container.closest('section') &&
+            this.container.closest('section').querySelector('.section-title');
+        const label = this.config.label || (heading ? heading.textContent.trim().replace(/\s+/g, ' ') : 'Carousel');
+        
+        this.container.setAttribute('role', 'region');
+        this.container.setAttribute('aria-roledescription', 'carousel');
+        this.container.setAttribute('aria-label', label);
+        
+        if (!this.track.id) this.track.id = `carousel-track-${++carouselIdCounter}`;
+        this.container.querySelectorAll('.carousel-btn').forEach(button => {
+            button.setAttribute('aria-controls', this.track.id);
+        });
+        
+        this.labelItems();
+        
+        // Announces the new slide; silent until the first change
+        this.liveRegion = document.createElement('div');
+        this.liveRegion.className = 'carousel-live';
+        this.liveRegion.setAttribute('aria-live', 'polite');
+        this.liveRegion.setAttribute('aria-atomic', 'true');
+        this.container.appendChild(this.liveRegion);
+        
+        this.buildPagination();
+    }
+    
+    labelItems() {
+        this.items.forEach((item, index) => {
+            item.setAttribute('role', 'group');
+            item.setAttribute('aria-roledescription', 'slide');
+            item.setAttribute('aria-label', `${index + 1} of ${this.totalItems}`);
+        });
+    }
+    
+    // One button per item, wired to goTo()
+    buildPagination() {
+        this.container.querySelectorAll('.carousel-pagination').forEach(element => element.remove());
+        this.pagination = null;
+        this.paginationButtons = [];
+        if (!this.config.pagination || this.totalItems < 2) return;
+        
+        const thumbnails = this.config.pagination === 'thumbnails';
+        this.pagination = document.createElement('div');
+        this.pagination.className = `carousel-pagination${thumbnails ? ' carousel-pagination-thumbnails' : ''}`;
+        this.pagination.setAttribute('role', 'group');
+        this.pagination.setAttribute('aria-label', 'Choose slide');
+        
+        this.paginationButtons = this.items.map((item, index) => {
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.className = thumbnails ? 'carousel-thumb' : 'carousel-dot';
+            button.setAttribute('aria-label', `Slide ${index + 1}: ${this.getItemTitle(item)}`);
+            button.dataset.index = index;
+            
+            // Thumbnails show a copy of the item's artwork
+            const artwork = thumbnails && item.querySelector('.item-image > :first-child');
+            if (artwork) {
+                const preview = artwork.cloneNode(true);
+                preview.setAttribute('aria-hidden', 'true');
+                
+                // Lazy slide images have no src yet, and loadNearbyImages() only
+                // sees the slides; thumbnails leave the waiting to the browser
+                [preview, ...preview.querySelectorAll('img')].forEach(image => {
+                    if (!image.matches('img[data-src]')) return;
+                    image.loading = 'lazy';
+                    image.src = image.dataset.src;
+                    image.removeAttribute('data-src');
+                });
+                button.appendChild(preview);
+            }
+            
+            this.pagination.appendChild(button);
+            return button;
+        });
+        
+        const progress = this.container.querySelector('.carousel-progress');
+        if (progress) {
+            progress.after(this.pagination);
+        } else {
+            this.container.appendChild(this.pagination);
+        }
+    }
+    
+    getItemTitle(item) {
+        const heading = item.querySelector('h3');
+        return heading ? heading.textContent.trim() : '';
+    }
+    
+    updateAccessibility(announce = true) {
+        const visible = this.getVisibleSlots();
+        
+        this.slides.forEach((item, slot) => {
+            item.inert = item.classList.contains('carousel-clone') || !visible.has(slot);
+        });
+        
+        this.paginationButtons.forEach((button, index) => {
+            if (index === this.currentIndex) {
+                button.setAttribute('aria-current', 'true');
+            } else {
+                button.removeAttribute('aria-current');
+            }
+        });
+        
+        if (announce && this.liveRegion && this.totalItems > 0) {
+            const item = this.items[this.currentIndex];
+            const title = this.getItemTitle(item);
+            this.liveRegion.textContent =
+                `Slide ${this.currentIndex + 1} of ${this.totalItems}${title ? `: ${title}` : ''}`;
+        }
+    }
+    
+    // Track slots currently on screen: the ring's front half, or as many
+    // linear slots as fit in the container starting at the current one
+    getVisibleSlots() {
+        if (this.isRing()) {
+            return new Set(this.slides
+                .map((item, slot) => (item.classList.contains('ring-back') ? -1 : slot))
+                .filter(slot => slot !== -1));
+        }
+        
+        // Slots whose whole box is inside the view (at least the current one)
+        const { itemWidth, padding, viewport } = this.layout;
+        const step = this.getStep();
+        const offset = padding + this.getTrackOffset() - this.position * step;
+        const visible = new Set([this.position]);
+        
+        this.slides.forEach((item, slot) => {
+            const left = offset + slot * step;
+            if (left >= -1 && left + itemWidth <= viewport + 1) visible.add(slot);
+        });
+        return visible;
+    }
+    
+    // ===================================================
+    // 11. PROGRESS BAR UPDATE
     // ===================================================
     updateProgress() {
-        const progressBar = document.getElementById('progressBar');
+        const progressBar = this.container.querySelector('.progress-bar');
         if (progressBar) {
-            const progress = ((this.currentIndex + 1) / this.totalItems) * 100;
+            const progress = this.totalItems ? ((this.currentIndex + 1) / this.totalItems) * 100 : 0;
             progressBar.style.width = `${progress}%`;
         }
     }
     
     // ===================================================
-    // 7. DRAG/SWIPE FUNCTIONALITY
+    // 12. DRAG/SWIPE FUNCTIONALITY
     // ===================================================
     setupDrag() {
         if (!this.config.dragEnabled) return;
         
         // Mouse events
-        this.track.addEventListener('mousedown', (e) => this.handleDragStart(e));
-        document.addEventListener('mousemove', (e) => this.handleDragMove(e));
-        document.addEventListener('mouseup', (e) => this.handleDragEnd(e));
+        this.listen(this.track, 'mousedown', (e) => this.handleDragStart(e, 'mouse'));
+        this.listen(document, 'mousemove', (e) => this.handleDragMove(e, e));
+        this.listen(document, 'mouseup', (e) => this.handleDragEnd(e));
         
-        // Touch events for mobile
-        this.track.addEventListener('touchstart', (e) => this.handleDragStart(e.touches[0]));
-        document.addEventListener('touchmove', (e) => this.handleDragMove(e.touches[0]));
-        document.addEventListener('touchend', (e) => this.handleDragEnd(e.changedTouches[0]));
+        // Touch events for mobile. Touches keep targeting the track even when the
+        // finger leaves it, so nothing is bound on the document and vertical page
+        // scrolling is only blocked once a gesture is known to be horizontal.
+        this.listen(this.track, 'touchstart', (e) => this.handleDragStart(e.touches[0], 'touch'), { passive: true });
+        this.listen(this.track, 'touchmove', (e) => this.handleDragMove(e.touches[0], e), { passive: false });
+        this.listen(this.track, 'touchend', (e) => this.handleDragEnd(e.changedTouches[0]));
+        this.listen(this.track, 'touchcancel', (e) => this.handleDragEnd(e.changedTouches[0]));
         
         // Prevent default drag behavior
-        this.track.addEventListener('dragstart', (e) => e.preventDefault());
+        this.listen(this.track, 'dragstart', (e) => e.preventDefault());
     }
     
-    handleDragStart(e) {
+    handleDragStart(e, source) {
         if (this.isAnimating) return;
         
         this.isDragging = true;
-        this.startX = e.clientX || e.pageX;
+        this.startX = e.clientX;
+        this.startY = e.clientY;
         this.currentX = this.startX;
         
+        // Undecided until it moves: a click or tap is not a drag
+        this.dragAxis = null;
+        this.dragSource = source;
+        this.dragSamples = [{ x: this.startX, time: performance.now() }];
+        
         // Add dragging class for cursor change
         this.track.style.cursor = 'grabbing';
         this.track.style.userSelect = 'none';
         
-        // Stop autoplay while dragging
-        this.stopAutoplay();
+        // Hold autoplay while dragging
+        this.pauseAutoplay('drag');
     }
     
-    handleDragMove(e) {
+    handleDragMove(e, event) {
         if (!this.isDragging) return;
         
-        e.preventDefault();
-        this.currentX = e.clientX || e.pageX;
-        this.dragDistance = this.currentX - this.startX;
+        // Decide on the first clear movement: a mostly vertical touch means
+        // the user is scrolling the page, so let the browser have it
+        if (!this.dragAxis) {
+            const dx = Math.abs(e.clientX - this.startX);
+            const dy = Math.abs(e.clientY - this.startY);
+            if (Math.max(dx, dy) < this.config.dragIntentDistance) return;
+            
+            this.dragAxis = this.dragSource === 'mouse' || dx >= dy ? 'x' : 'y';
+            if (this.dragAxis === 'y') {
+                this.cancelDrag();
+                return;
+            }
+            this.emit('dragstart', { index: this.currentIndex });
+        }
+        
+        if (event.cancelable) event.preventDefault();
+        this.currentX = e.clientX;
+        this.dragDistance = this.applyEdgeResistance(this.currentX - this.startX);
+        this.trackDragVelocity(this.currentX);
         
         // Apply drag effect (visual feedback)
-        const currentOffset = -this.currentIndex * (this.config.itemWidth + this.config.itemGap);
-        this.track.style.transform = `translateX(${currentOffset + this.dragDistance}px)`;
+        this.trackTransform = this.getTrackTransform(this.dragDistance);
+        this.setTrackTransform(this.trackTransform);
     }
     
     handleDragEnd(e) {
         if (!this.isDragging) return;
         
+        // Never became a drag, so there was no dragstart to pair with
+        if (!this.dragAxis) {
+            this.cancelDrag();
+            return;
+        }
+        
         this.isDragging = false;
         this.track.style.cursor = 'grab';
         this.track.style.userSelect = '';
         
-        // Determine if drag was significant enough to change slide
-        if (Math.abs(this.dragDistance) > this.config.dragThreshold) {
-            if (this.dragDistance > 0) {
-                this.prev();
-            } else {
-                this.next();
-            }
+        // Project the throw forward and snap to the nearest item there
+        const delta = this.getMomentumDelta();
+        this.emit('dragend', {
+            index: this.currentIndex,
+            distance: this.dragDistance,
+            velocity: this.getDragVelocity(),
+            delta
+        });
+        if (delta !== 0) {
+            this.moveBy(delta);
         } else {
             // Snap back to current position
             this.updateCarousel();
@@ -287,24 +996,164 @@ class Carousel3D {
         
         // Reset drag state
         this.dragDistance = 0;
+        this.resumeAutoplay('drag');
+    }
+    
+    // Give up a press that was a click, a tap or a vertical scroll
+    cancelDrag() {
+        this.isDragging = false;
+        this.dragDistance = 0;
+        this.track.style.cursor = 'grab';
+        this.track.style.userSelect = '';
+        this.resumeAutoplay('drag');
+    }
+    
+    // Keep the last ~100ms of movement for a release velocity
+    trackDragVelocity(x) {
+        const now = performance.now();
+        this.dragSamples.push({ x, time: now });
+        while (this.dragSamples.length > 2 && now - this.dragSamples[0].time > 100) {
+            this.dragSamples.shift();
+        }
+    }
+    
+    // Release velocity in px/ms (positive is rightwards)
+    getDragVelocity() {
+        const first = this.dragSamples[0];
+        const last = this.dragSamples[this.dragSamples.length - 1];
+        const elapsed = last.time - first.time;
         
-        // Restart autoplay if enabled
-        if (this.config.autoplay) {
-            this.startAutoplay();
+        // A pause before letting go means no throw
+        if (elapsed <= 0 || performance.now() - last.time > 100) return 0;
+        return (last.x - first.x) / elapsed;
+    }
+    
+    // Items to move after a release: where the drag plus its inertia would
+    // come to rest, rounded to the nearest item and capped
+    getMomentumDelta() {
+        const step = this.getStep();
+        const projected = this.dragDistance + this.getDragVelocity() * this.config.momentum;
+        const limit = this.config.maxMomentumItems;
+        let delta = Math.max(-limit, Math.min(limit, -Math.round(projected / step)));
+        
+        // A short but deliberate drag still moves one item
+        if (delta === 0 && Math.abs(this.dragDistance) > this.config.dragThreshold) {
+            delta = this.dragDistance > 0 ? -1 : 1;
         }
+        return delta;
+    }
+    
+    // Rubber-band past the first and last item when not looping:
+    // the overshoot follows the finger less and less the further it goes
+    applyEdgeResistance(distance) {
+        if (this.config.loop) return distance;
+        
+        const step = this.getStep();
+        const maxForward = this.currentIndex * step;                        // Towards the first item
+        const maxBack = (this.totalItems - 1 - this.currentIndex) * step;  // Towards the last item
+        const rubber = overshoot => (1 - 1 / (overshoot * 0.55 / step + 1)) * step;
+        
+        if (distance > maxForward) return maxForward + rubber(distance - maxForward);
+        if (distance < -maxBack) return -maxBack - rubber(-maxBack - distance);
+        return distance;
     }
     
     // ===================================================
-    // 8. KEYBOARD NAVIGATION
+    // 13. WHEEL & TRACKPAD
     // ===================================================
+    // Purpose: Horizontal trackpad swipes and shift+wheel over the track.
+    // A trackpad sends a stream of small deltas followed by an inertia tail,
+    // so the deltas are added up until they pass dragThreshold and there are
+    // enough of them to tell the speed. Then the carousel moves once (further
+    // for a fast swipe) and the rest of the stream is swallowed until it goes
+    // quiet or a new swipe starts. A mouse wheel
+    // notch moves one item. Mostly vertical deltas are left to the page.
+    setupWheel() {
+        if (!this.config.wheelEnabled) return;
+        
+        this.wheel = { distance: 0, lastTime: 0, lastDelta: 0, locked: false, samples: [], timer: null };
+        this.listen(this.track, 'wheel', (e) => this.handleWheel(e), { passive: false });
+    }
+    
+    handleWheel(e) {
+        // Lines and pages (Firefox, some mice) to pixels
+        const unit = e.deltaMode === 1 ? 16 : e.deltaMode === 2 ? this.layout.viewport || 800 : 1;
+        let dx = e.deltaX * unit;
+        const dy = e.deltaY * unit;
+        
+        // Shift+wheel scrolls sideways, though not every browser swaps the axes itself
+        if (e.shiftKey && dx === 0) dx = dy;
+        else if (Math.abs(dx) <= Math.abs(dy)) return;
+        
+        e.preventDefault();
+        
+        const now = performance.now();
+        const wheel = this.wheel;
+        const gap = now - wheel.lastTime;
+        wheel.lastTime = now;
+        
+        // Line/page steps, or a big whole-pixel jump after a pause: a wheel notch
+        if (e.deltaMode !== 0 || (gap > 50 && Math.abs(dx) >= 50 && Number.isInteger(dx))) {
+            wheel.locked = false;
+            wheel.distance = 0;
+            this.moveBy(dx > 0 ? 1 : -1);
+            return;
+        }
+        
+        // A new swipe: the stream went quiet, or deltas jump up out of a decaying inertia tail
+        const rising = Math.abs(dx) > Math.abs(wheel.lastDelta) * 2 && Math.abs(dx) > 4;
+        if (gap > this.config.wheelIdle || (wheel.locked && rising)) {
+            wheel.distance = 0;
+            wheel.locked = false;
+            wheel.samples = [];
+        }
+        wheel.lastDelta = dx;
+        if (wheel.locked) return;
+        
+        wheel.distance += dx;
+        wheel.samples.push({ distance: wheel.distance, time: now });
+        while (wheel.samples.length > 2 && now - wheel.samples[0].time > 100) {
+            wheel.samples.shift();
+        }
+        
+        // Decide after a few events, or once a short flick has stopped
+        clearTimeout(wheel.timer);
+        if (wheel.samples.length >= 3) {
+            this.commitWheel();
+        } else {
+            wheel.timer = setTimeout(() => this.commitWheel(), 50);
+        }
+    }
+    
+    commitWheel() {
+        const wheel = this.wheel;
+        clearTimeout(wheel.timer);
+        if (wheel.locked || Math.abs(wheel.distance) < this.config.dragThreshold || this.isAnimating) return;
+        
+        wheel.locked = true;
+        this.moveBy(this.getWheelDelta());
+    }
+    
+    // Items for a swipe: like a drag release, its speed carries it further
+    getWheelDelta() {
+        const { distance, samples } = this.wheel;
+        const first = samples[0];
+        const last = samples[samples.length - 1];
+        const elapsed = last.time - first.time;
+        const velocity = elapsed > 0 ? (last.distance - first.distance) / elapsed : 0;
+        
+        const projected = Math.abs(distance + velocity * this.config.momentum);
+        const count = Math.max(1, Math.min(this.config.maxMomentumItems, Math.round(projected / this.getStep())));
+        return distance > 0 ? count : -count;
+    }
+    
+    // ===================================================
+    // 14. KEYBOARD NAVIGATION
+    // ===================================================
+    // Only while focus is inside the carousel (its buttons and dots),
+    // so arrow keys keep scrolling the page everywhere else
     setupKeyboard() {
-        document.addEventListener('keydown', (e) => {
-            // Only respond to keyboard if carousel is in view
-            const rect = this.container.getBoundingClientRect();
-            const inView = rect.top < window.innerHeight && rect.bottom > 0;
-            
-            if (!inView) return;
-            
+        this.listen(this.container, 'keydown', (e) => {
             switch (e.key) {
                 case 'ArrowLeft':
                     e.preventDefault();
@@ -327,81 +1176,428 @@ class Carousel3D {
     }
     
     // ===================================================
-    // 9. AUTOPLAY FUNCTIONALITY
+    // 15. AUTOPLAY FUNCTIONALITY
     // ===================================================
-    startAutoplay() {
-        this.stopAutoplay(); // Clear any existing timer
+    // Purpose: Advance on a timer, but only while someone can usefully watch.
+    // Autoplay waits while any pause reason is set: the toggle button (or
+    // reduced motion), a hidden tab, the carousel scrolled off-screen, focus
+    // inside it, hover or a drag. The time left carries over a pause, and the
+    // countdown bar inside .carousel-progress shows it running down.
+    setupAutoplay() {
+        this.autoplayRemaining = this.config.autoplayDelay;
+        this.buildAutoplayToggle();
+        this.buildCountdown();
+        
+        // Reduced motion: offer autoplay but leave starting it to the user
+        const reducedMotion = window.matchMedia && window.matchMedia('(prefers-reduced-motion: reduce)');
+        if (reducedMotion && reducedMotion.matches) this.pauseReasons.add('user');
+        
+        this.listen(document, 'visibilitychange', () => {
+            if (document.hidden) this.pauseAutoplay('hidden');
+            else this.resumeAutoplay('hidden');
+        });
+        if (document.hidden) this.pauseReasons.add('hidden');
         
-        this.autoplayTimer = setInterval(() => {
+        if (typeof IntersectionObserver === 'function') {
+            this.visibilityObserver = new IntersectionObserver(([entry]) => {
+                if (entry.isIntersecting) this.resumeAutoplay('offscreen');
+                else this.pauseAutoplay('offscreen');
+            });
+            this.visibilityObserver.observe(this.container);
+        }
+        
+        // The toggle itself doesn't count, so pressing play works from the keyboard
+        this.listen(this.container, 'focusin', (e) => {
+            if (e.target !== this.autoplayToggle) this.pauseAutoplay('focus');
+        });
+        this.listen(this.container, 'focusout', (e) => {
+            if (!this.container.contains(e.relatedTarget)) this.resumeAutoplay('focus');
+        });
+        
+        this.listen(this.container, 'mouseenter', () => this.pauseAutoplay('hover'));
+        this.listen(this.container, 'mouseleave', () => this.resumeAutoplay('hover'));
+        
+        this.updateAutoplay();
+    }
+    
+    // Rotation control, first in the carousel as the WAI-ARIA pattern asks
+    buildAutoplayToggle() {
+        this.autoplayToggle = document.createElement('button');
+        this.autoplayToggle.type = 'button';
+        this.autoplayToggle.className = 'carousel-btn carousel-autoplay-toggle';
+        this.autoplayToggle.setAttribute('aria-controls', this.track.id);
+        this.listen(this.autoplayToggle, 'click', () => {
+            if (this.pauseReasons.has('user')) this.play();
+            else this.pause();
+        });
+        this.container.prepend(this.autoplayToggle);
+    }
+    
+    buildCountdown() {
+        const progress = this.container.querySelector('.carousel-progress');
+        if (!progress) return;
+        
+        this.countdownBar = document.createElement('div');
+        this.countdownBar.className = 'carousel-countdown';
+        this.countdownBar.setAttribute('aria-hidden', 'true');
+        progress.appendChild(this.countdownBar);
+    }
+    
+    // Start rotating, overriding focus inside the carousel and reduced motion
+    play() {
+        if (!this.config.autoplay) return;
+        
+        this.pauseReasons.delete('user');
+        this.pauseReasons.delete('focus');
+        this.updateAutoplay();
+    }
+    
+    pause() {
+        this.pauseAutoplay('user');
+    }
+    
+    pauseAutoplay(reason) {
+        this.pauseReasons.add(reason);
+        this.updateAutoplay();
+    }
+    
+    resumeAutoplay(reason) {
+        this.pauseReasons.delete(reason);
+        this.updateAutoplay();
+    }
+    
+    isAutoplayRunning() {
+        return Boolean(this.config.autoplay) && !this.destroyed && this.pauseReasons.size === 0;
+    }
+    
+    // Start or hold the countdown to match the pause reasons, and sync the UI
+    updateAutoplay() {
+        if (!this.config.autoplay || this.destroyed) return;
+        
+        const running = this.isAutoplayRunning();
+        if (running && !this.autoplayTimer) {
+            this.startCountdown();
+        } else if (!running && this.autoplayTimer) {
+            this.stopAutoplay();
+        }
+        
+        // Automatic rotation is not announced, only user-driven changes
+        if (this.liveRegion) this.liveRegion.setAttribute('aria-live', running ? 'off' : 'polite');
+        
+        if (this.autoplayToggle) {
+            const stopped = this.pauseReasons.has('user');
+            this.autoplayToggle.setAttribute('aria-label', stopped ? 'Start automatic slide show' : 'Stop automatic slide show');
+            this.autoplayToggle.innerHTML = stopped
+                ? '<svg viewBox="0 0 24 24" fill="currentColor" aria-hidden="true"><path d="M8 5v14l11-7z"/></svg>'
+                : '<svg viewBox="0 0 24 24" fill="currentColor" aria-hidden="true"><path d="M6 5h4v14H6zm8 0h4v14h-4z"/></svg>';
+        }
+    }
+    
+    // Run the rest of the current countdown, then advance and start a full one
+    startCountdown() {
+        const delay = this.config.autoplayDelay;
+        this.autoplayStarted = performance.now();
+        
+        this.autoplayTimer = setTimeout(() => {
+            this.autoplayTimer = null;
+            this.autoplayRemaining = delay;
+            
+            const previousIndex = this.currentIndex;
+            this.autoplayStep = true;
             this.next();
-        }, this.config.autoplayDelay);
+            this.autoplayStep = false;
+            this.emit('autoplay', { previousIndex, index: this.currentIndex });
+            
+            if (this.isAutoplayRunning() && !this.autoplayTimer) this.startCountdown();
+        }, this.autoplayRemaining);
+        
+        if (this.countdownBar) {
+            if (!this.countdown) {
+                this.countdown = this.countdownBar.animate([
+                    { transform: 'scaleX(0)' },
+                    { transform: 'scaleX(1)' }
+                ], { duration: delay, fill: 'forwards' });
+            }
+            this.countdown.currentTime = delay - this.autoplayRemaining;
+            this.countdown.play();
+        }
     }
     
+    // Clear the timer, keeping the time left for the next start
     stopAutoplay() {
         if (this.autoplayTimer) {
-            clearInterval(this.autoplayTimer);
+            clearTimeout(this.autoplayTimer);
             this.autoplayTimer = null;
+            const elapsed = performance.now() - this.autoplayStarted;
+            this.autoplayRemaining = Math.max(0, this.autoplayRemaining - elapsed);
         }
+        if (this.countdown) this.countdown.pause();
     }
     
+    // A manual move earns a full delay before the next automatic one
     resetAutoplay() {
-        if (this.config.autoplay) {
-            this.startAutoplay();
+        if (!this.config.autoplay || this.autoplayStep) return;
+        
+        this.stopAutoplay();
+        this.autoplayRemaining = this.config.autoplayDelay;
+        if (this.countdown) this.countdown.currentTime = 0;
+        this.updateAutoplay();
+    }
+    
+    // ===================================================
+    // 16. EVENTS
+    // ===================================================
+    // Purpose: Let other modules follow the carousel.
+    //   'change'    { previousIndex, index }  after any move to a new item
+    //   'dragstart' { index }                 a horizontal drag began
+    //   'dragend'   { index, distance, velocity, delta }  released; delta is the items it will move
+    //   'autoplay'  { previousIndex, index }  autoplay advanced (also fires 'change')
+    //   'slideschange' { total }              slides were added, removed or replaced
+    // Returns a function that removes the handler again.
+    on(type, handler) {
+        (this.handlers[type] = this.handlers[type] || new Set()).add(handler);
+        return () => this.off(type, handler);
+    }
+    
+    off(type, handler) {
+        if (this.handlers[type]) this.handlers[type].delete(handler);
+        return this;
+    }
+    
+    emit(type, detail) {
+        if (!this.handlers[type]) return;
+        
+        this.handlers[type].forEach(handler => {
+            try {
+                handler({ type, carousel: this, ...detail });
+            } catch (error) {
+                console.error(`❌ Carousel "${type}" handler failed:`, error);
+            }
+        });
+    }
+    
+    emitChange(previousIndex) {
+        if (previousIndex !== this.currentIndex) {
+            this.emit('change', { previousIndex, index: this.currentIndex });
+        }
+    }
+    
+    // Every DOM listener goes through listen() so destroy() can remove it
+    listen(target, type, handler, options) {
+        target.addEventListener(type, handler, options);
+        this.listeners.push({ target, type, handler, options });
+    }
+    
+    // ===================================================
+    // 17. DEEP LINKS
+    // ===================================================
+    // Purpose: Link straight to an item with #<id>/<number> (1-based) or
+    // #<id>/<slug>, the slug coming from the item's heading. Landing on such a
+    // URL opens the item without animation; moves replace the hash in place so
+    // they don't pile up history entries, and back/forward return to an item.
+    setupDeepLink() {
+        const { deepLink } = this.config;
+        if (!deepLink) return;
+        
+        const section = this.container.closest('section[id]');
+        this.deepLinkId = typeof deepLink === 'string' ? deepLink : section && section.id;
+        if (!this.deepLinkId) {
+            console.warn('⚠️ Carousel deepLink needs a hash prefix or a section with an id');
+            return;
+        }
+        
+        if (this.readHash() !== -1) {
+            this.goTo(this.readHash(), false);
+            this.scrollIntoView('instant');
+        }
+        
+        this.on('change', () => {
+            if (!this.autoplayStep) this.writeHash();
+        });
+        
+        // popstate covers back/forward (main.js calls followHash() for its links);
+        // hashchange is an edited URL, which the browser itself can't scroll to
+        this.listen(window, 'popstate', () => this.followHash());
+        this.listen(window, 'hashchange', () => {
+            if (this.followHash()) this.scrollIntoView('smooth');
+        });
+    }
+    
+    // Item index named by the current hash, or -1 if it isn't ours
+    readHash() {
+        let hash;
+        try {
+            hash = decodeURIComponent(window.location.hash.slice(1));
+        } catch (error) {
+            return -1; // Malformed escapes such as #100%
+        }
+        const prefix = `${this.deepLinkId}/`;
+        if (!hash.startsWith(prefix)) return -1;
+        
+        const key = hash.slice(prefix.length);
+        if (/^\d+$/.test(key)) {
+            const index = Number(key) - 1;
+            return index >= 0 && index < this.totalItems ? index : -1;
         }
+        return this.items.findIndex(item => this.getItemSlug(item) === key.toLowerCase());
+    }
+    
+    writeHash() {
+        if (this.totalItems === 0) return;
+        
+        const item = this.items[this.currentIndex];
+        const slug = this.getItemSlug(item);
+        const unique = slug && this.items.filter(other => this.getItemSlug(other) === slug).length === 1;
+        const key = unique ? slug : this.currentIndex + 1;
+        
+        history.replaceState(history.state, '', `#${this.deepLinkId}/${key}`);
+    }
+    
+    // "Neon Dreams" -> "neon-dreams"
+    getItemSlug(item) {
+        const heading = item.querySelector('h1, h2, h3, h4, h5, h6');
+        if (!heading) return '';
+        
+        return heading.textContent
+            .toLowerCase()
+            .normalize('NFKD')
+            .replace(/[\u0300-\u036f]/g, '')
+            .replace(/[^a-z0-9]+/g, '-')
+            .replace(/^-+|-+$/g, '');
+    }
+    
+    // Move to the item in the hash; true if the hash was ours
+    followHash() {
+        const index = this.readHash();
+        if (index === -1) return false;
+        
+        this.goTo(index, !this.isAnimating);
+        return true;
+    }
+    
+    scrollIntoView(behavior) {
+        const target = this.container.closest('section') || this.container;
+        target.scrollIntoView({ behavior, block: 'start' });
     }
     
     // ===================================================
-    // 10. DESTRUCTION (CLEANUP)
+    // 18. DESTRUCTION (CLEANUP)
     // ===================================================
+    // Record the attributes setup will touch, to put them back on destroy()
+    takeSnapshot() {
+        const elements = [
+            this.container,
+            this.track,
+            ...this.items,
+            ...this.container.querySelectorAll('.carousel-btn, .progress-bar')
+        ];
+        
+        return elements.map(element => ({
+            element,
+            attributes: Array.from(element.attributes, ({ name, value }) => [name, value])
+        }));
+    }
+    
+    restoreSnapshot() {
+        this.snapshot.forEach(({ element, attributes }) => {
+            Array.from(element.attributes).forEach(({ name }) => element.removeAttribute(name));
+            attributes.forEach(([name, value]) => element.setAttribute(name, value));
+        });
+    }
+    
+    // Stop everything, remove every listener and generated element, and
+    // return the markup to how it was before the carousel started
     destroy() {
+        if (this.destroyed) return;
+        this.destroyed = true;
+        
+        // The lightbox (lightbox.js) listens on the track and the items, so it goes first
+        if (this.lightbox) {
+            this.lightbox.destroy();
+            this.lightbox = null;
+        }
+        
         this.stopAutoplay();
-        // Remove event listeners, etc.
+        if (this.countdown) this.countdown.cancel();
+        if (this.visibilityObserver) this.visibilityObserver.disconnect();
+        carouselRegistry.delete(this.container);
+        
+        if (this.resizeObserver) this.resizeObserver.disconnect();
+        clearTimeout(this.resizeTimer);
+        if (this.wheel) clearTimeout(this.wheel.timer);
+        
+        this.listeners.forEach(({ target, type, handler, options }) => {
+            target.removeEventListener(type, handler, options);
+        });
+        this.listeners = [];
+        this.handlers = {};
+        
+        // Finished animations with fill: 'forwards' would keep their styles
+        if (typeof this.container.getAnimations === 'function') {
+            this.container.getAnimations({ subtree: true }).forEach(animation => animation.cancel());
+        }
+        
+        this.track.querySelectorAll('.carousel-clone').forEach(clone => clone.remove());
+        if (this.slidesChanged) this.track.replaceChildren(...this.markupNodes);
+        if (this.pagination) this.pagination.remove();
+        if (this.autoplayToggle) this.autoplayToggle.remove();
+        if (this.countdownBar) this.countdownBar.remove();
+        if (this.liveRegion) this.liveRegion.remove();
+        this.restoreSnapshot();
+        
         console.log('🎠 Carousel destroyed');
     }
 }
 
 // ===================================================
-// 11. INITIALIZE CAROUSEL
+// 19. INITIALIZE CAROUSEL
 // ===================================================
-// Wait for DOM to be ready
-document.addEventListener('DOMContentLoaded', () => {
-    const carouselContainer = document.querySelector('.carousel-container');
+// Per-carousel options from data attributes, e.g.
+// <div class="carousel-container" data-layout="ring" data-autoplay-delay="4000">
+// Only keys that exist in carouselConfig are read; "true"/"false", numbers
+// and JSON (data-breakpoints='{"1024": {"slidesPerView": 3}}') are converted,
+// a bare attribute (data-autoplay) means true.
+function readCarouselOptions(container) {
+    const options = {};
     
-    if (carouselContainer) {
-        // Create carousel instance
-        const carousel = new Carousel3D(carouselContainer, carouselConfig);
+    Object.keys(container.dataset).forEach(key => {
+        if (!(key in carouselConfig)) return;
         
-        // Expose to window for debugging (optional)
-        window.carousel = carousel;
-    }
-});
-
-// ===================================================
-// 12. RESPONSIVE ADJUSTMENTS
-// ===================================================
-// Adjust carousel behavior based on screen size
-function handleResize() {
-    const width = window.innerWidth;
-    
-    // Mobile adjustments
-    if (width < 768) {
-        carouselConfig.itemWidth = 280;
-        carouselConfig.itemGap = 16;
-    } else {
-        carouselConfig.itemWidth = 320;
-        carouselConfig.itemGap = 32;
-    }
+        const value = container.dataset[key];
+        if (value === '' || value === 'true') {
+            options[key] = true;
+        } else if (value === 'false') {
+            options[key] = false;
+        } else if (!isNaN(Number(value))) {
+            options[key] = Number(value);
+        } else if (/^[[{]/.test(value)) {
+            try {
+                options[key] = JSON.parse(value);
+            } catch (error) {
+                console.warn(`⚠️ Ignoring invalid JSON in data-${key}:`, error.message);
+            }
+        } else {
+            options[key] = value;
+        }
+    });
+    
+    return options;
 }
 
-window.addEventListener('resize', () => {
-    let resizeTimeout;
-    clearTimeout(resizeTimeout);
-    resizeTimeout = setTimeout(handleResize, 100);
+// Wait for DOM to be ready, then start every carousel on the page
+document.addEventListener('DOMContentLoaded', () => {
+    document.querySelectorAll('.carousel-container').forEach(container => {
+        if (carouselRegistry.has(container)) return;
+        
+        // Create carousel instance
+        new Carousel3D(container, readCarouselOptions(container));
+    });
+    
+    // Expose to window for debugging (optional):
+    // Carousel3D.get(document.querySelector('.carousel-container'))
+    window.Carousel3D = Carousel3D;
 });
 
-// Initial check
-handleResize();
-
 // ===================================================
 // INITIALIZATION LOG
 // ===================================================
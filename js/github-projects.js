@@ -10,31 +10,36 @@ Performance: Caches API responses, handles rate limits
 // 1. CONFIGURATION
 // ===================================================
 const GITHUB_CONFIG = {
-    username: 'jesus-justin',
-    apiUrl: 'https://api.github.com/users/jesus-justin/repos',
-    maxProjects: 6, // Number of projects to display
-    sortBy: 'updated', // 'updated', 'created', 'pushed', 'stars'
-    cacheTime: 5 * 60 * 1000, // Cache for 5 minutes
+    username: 'jesus-justin', // A user or an organization, or an array of them to merge into one grid
+    accountType: 'auto', // 'user', 'org', or 'auto' to ask the API once per account
+    apiBase: 'https://api.github.com',
+    maxProjects: 6, // Number of projects to display ("Show more" adds this many again)
+    sortBy: 'updated', // Default order: 'stars', 'forks', 'updated', 'created', 'name' (sorted here, see sortRepos)
+    perPage: 100, // Repositories per request (GitHub's maximum)
+    maxPages: 5, // Follow rel="next" at most this many pages per account
+    cacheTime: 5 * 60 * 1000, // Cache for 5 minutes, then refresh in the background
+    maxRetryDelay: 10 * 60 * 1000, // Longest wait between retries after network errors
 };
 
 // ===================================================
 // 2. CACHE MANAGEMENT
 // ===================================================
 // Purpose: Reduce API calls and handle rate limiting
+// Expired entries are kept: stale data is served while a fresh copy loads,
+// and it still beats an error when GitHub is rate limited or offline
 const cache = {
     get(key) {
         const item = localStorage.getItem(key);
         if (!item) return null;
         
-        const { data, timestamp } = JSON.parse(item);
-        const isExpired = Date.now() - timestamp > GITHUB_CONFIG.cacheTime;
-        
-        if (isExpired) {
+        try {
+            const { data, timestamp } = JSON.parse(item);
+            const isExpired = Date.now() - timestamp > GITHUB_CONFIG.cacheTime;
+            return { data, timestamp, isExpired };
+        } catch (error) {
             localStorage.removeItem(key);
             return null;
         }
-        
-        return data;
     },
     
     set(key, data) {
@@ -42,51 +47,243 @@ const cache = {
             data,
             timestamp: Date.now()
         };
-        localStorage.setItem(key, JSON.stringify(item));
+        
+        try {
+            localStorage.setItem(key, JSON.stringify(item));
+        } catch (error) {
+            console.warn('⚠️ Could not cache GitHub data:', error.message);
+        }
     }
 };
 
 // ===================================================
-// 3. FETCH GITHUB REPOSITORIES
+// 3. GITHUB API CLIENT
 // ===================================================
-// Purpose: Get repositories from GitHub API with error handling
-async function fetchGitHubRepos() {
-    const cacheKey = `github_repos_${GITHUB_CONFIG.username}`;
+// Purpose: Conditional requests and rate-limit bookkeeping.
+// Every response is stored with its ETag and sent back as If-None-Match;
+// a 304 reuses the stored body and doesn't count against the rate limit.
+// X-RateLimit-Remaining/Reset are tracked so an exhausted limit fails fast
+// with the time it resets (error.retryAt) instead of making more requests.
+const rateLimit = {
+    remaining: null, // Requests left in this window (null until GitHub says)
+    reset: 0 // When the window resets, in ms since the epoch
+};
+
+// Fields the grid uses; keeps localStorage well under its quota
+const REPO_FIELDS = [
+    'id', 'name', 'full_name', 'html_url', 'description', 'language', 'topics',
+    'stargazers_count', 'forks_count', 'fork', 'private', 'created_at', 'updated_at', 'pushed_at'
+];
+
+function compactRepo(repo) {
+    const compact = {};
+    REPO_FIELDS.forEach(field => {
+        if (field in repo) compact[field] = repo[field];
+    });
+    return compact;
+}
+
+function readRateLimit(response) {
+    const remaining = response.headers.get('X-RateLimit-Remaining');
+    const reset = response.headers.get('X-RateLimit-Reset');
     
-    // Check cache first
-    const cachedData = cache.get(cacheKey);
-    if (cachedData) {
-        console.log('📦 Using cached GitHub data');
-        return cachedData;
+    if (remaining !== null) rateLimit.remaining = Number(remaining);
+    if (reset !== null) rateLimit.reset = Number(reset) * 1000;
+}
+
+function createRateLimitError(retryAt) {
+    const error = new Error('GitHub API rate limit reached');
+    error.retryAt = retryAt;
+    return error;
+}
+
+// GET a JSON resource as { body, link }, revalidating any stored copy
+async function githubRequest(url) {
+    if (rateLimit.remaining === 0 && Date.now() < rateLimit.reset) {
+        throw createRateLimitError(rateLimit.reset);
+    }
+    
+    const storageKey = `github_http_${url}`;
+    const stored = cache.get(storageKey);
+    const headers = { 'Accept': 'application/vnd.github.v3+json' };
+    if (stored && stored.data.etag) headers['If-None-Match'] = stored.data.etag;
+    
+    const response = await fetch(url, { headers });
+    readRateLimit(response);
+    
+    if (response.status === 304 && stored) {
+        cache.set(storageKey, stored.data);
+        return stored.data;
+    }
+    
+    // Primary limit (remaining hits 0) or a secondary limit with Retry-After
+    if (response.status === 403 || response.status === 429) {
+        const retryAfter = Number(response.headers.get('Retry-After'));
+        if (retryAfter) throw createRateLimitError(Date.now() + retryAfter * 1000);
+        if (rateLimit.remaining === 0) throw createRateLimitError(rateLimit.reset);
+    }
+    
+    if (!response.ok) {
+        throw new Error(`GitHub API error: ${response.status}`);
+    }
+    
+    const body = await response.json();
+    const entry = {
+        body: Array.isArray(body) ? body.map(compactRepo) : body,
+        etag: response.headers.get('ETag'),
+        link: response.headers.get('Link')
+    };
+    cache.set(storageKey, entry);
+    return entry;
+}
+
+// ===================================================
+// 4. ACCOUNTS & PAGINATION
+// ===================================================
+// Purpose: Resolve users vs. organizations and follow paginated results
+function getAccounts() {
+    const accounts = Array.isArray(GITHUB_CONFIG.username)
+        ? GITHUB_CONFIG.username
+        : [GITHUB_CONFIG.username];
+    return accounts.filter(Boolean);
+}
+
+function getCacheKey() {
+    return `github_repos_${getAccounts().join('+')}`;
+}
+
+// 'user' or 'org'. In 'auto' mode the answer is looked up once and kept,
+// since an account doesn't change type
+async function getAccountType(account) {
+    if (GITHUB_CONFIG.accountType !== 'auto') return GITHUB_CONFIG.accountType;
+    
+    const storageKey = `github_account_type_${account}`;
+    const known = localStorage.getItem(storageKey);
+    if (known) return known;
+    
+    const { body } = await githubRequest(`${GITHUB_CONFIG.apiBase}/users/${encodeURIComponent(account)}`);
+    const accountType = body.type === 'Organization' ? 'org' : 'user';
+    localStorage.setItem(storageKey, accountType);
+    return accountType;
+}
+
+// Organizations list their repos under /orgs, users under /users
+function getReposUrl(account, accountType) {
+    // GitHub only sorts by date or name; for the rest, put active repos first
+    // in case maxPages cuts the list short
+    const apiSort = { updated: 'updated', created: 'created', pushed: 'pushed', name: 'full_name' };
+    const params = new URLSearchParams({
+        sort: apiSort[GITHUB_CONFIG.sortBy] || 'pushed',
+        per_page: GITHUB_CONFIG.perPage,
+        type: accountType === 'org' ? 'public' : 'owner'
+    });
+    const path = accountType === 'org' ? 'orgs' : 'users';
+    return `${GITHUB_CONFIG.apiBase}/${path}/${encodeURIComponent(account)}/repos?${params}`;
+}
+
+// Link: <https://api.github.com/...&page=2>; rel="next", <...>; rel="last"
+function parseLinkHeader(header) {
+    const links = {};
+    if (!header) return links;
+    
+    header.split(',').forEach(part => {
+        const match = part.match(/<([^>]+)>\s*;\s*rel="([^"]+)"/);
+        if (match) links[match[2]] = match[1];
+    });
+    return links;
+}
+
+// Every page of an account's repos, up to GITHUB_CONFIG.maxPages
+async function fetchAccountRepos(account) {
+    const accountType = await getAccountType(account);
+    let url = getReposUrl(account, accountType);
+    const repos = [];
+    
+    for (let page = 1; url; page++) {
+        if (page > GITHUB_CONFIG.maxPages) {
+            console.warn(`⚠️ Stopped after ${GITHUB_CONFIG.maxPages} pages of ${account} repositories`);
+            break;
+        }
+        
+        const { body, link } = await githubRequest(url);
+        repos.push(...body);
+        url = parseLinkHeader(link).next;
     }
     
+    return repos;
+}
+
+// Client-side order for merged lists and the toolbar: numbers and dates
+// descending, names A-Z
+function isRepoOwnedBy(repo, account) {
+    return repo.full_name.split('/')[0].toLowerCase() === account.toLowerCase();
+}
+
+function sortRepos(repos, sortBy) {
+    const countField = { stars: 'stargazers_count', forks: 'forks_count' }[sortBy];
+    const dateField = { updated: 'updated_at', created: 'created_at', pushed: 'pushed_at' }[sortBy];
+    
+    return repos.slice().sort((a, b) => {
+        if (countField) return (b[countField] || 0) - (a[countField] || 0);
+        if (dateField) return new Date(b[dateField]) - new Date(a[dateField]);
+        return a.name.localeCompare(b.name, undefined, { sensitivity: 'base' });
+    });
+}
+
+// ===================================================
+// 5. FETCH GITHUB REPOSITORIES
+// ===================================================
+// Purpose: Get repositories from GitHub API with error handling.
+// Always asks GitHub (cheaply, see githubRequest); the cached copy is
+// served by initializeGitHubProjects() below.
+// Resolves to { repos, error, failedAccounts }: when only some accounts fail,
+// their saved repos stand in, error says why and nothing is cached.
+async function fetchGitHubRepos() {
+    const cacheKey = getCacheKey();
+    
     try {
         console.log('🔄 Fetching GitHub repositories...');
         
-        const response = await fetch(
-            `${GITHUB_CONFIG.apiUrl}?sort=${GITHUB_CONFIG.sortBy}&per_page=100`,
-            {
-                headers: {
-                    'Accept': 'application/vnd.github.v3+json'
-                }
-            }
-        );
+        // One failing account shouldn't hide the others
+        const accounts = getAccounts();
+        const results = await Promise.allSettled(accounts.map(fetchAccountRepos));
+        const failures = results.filter(result => result.status === 'rejected');
         
-        if (!response.ok) {
-            throw new Error(`GitHub API error: ${response.status}`);
+        if (failures.length === results.length) {
+            throw failures[0].reason;
         }
+        failures.forEach(failure => console.warn('⚠️ Skipping a GitHub account:', failure.reason.message));
+        
+        // Keep what was saved for the accounts that failed this time
+        const failedAccounts = accounts.filter((account, i) => results[i].status === 'rejected');
+        const cached = failures.length ? cache.get(cacheKey) : null;
+        const savedRepos = cached
+            ? cached.data.filter(repo => failedAccounts.some(account => isRepoOwnedBy(repo, account)))
+            : [];
         
-        const repos = await response.json();
+        // Merge, dropping repos that appear under more than one account
+        const seen = new Set();
+        const repos = results
+            .filter(result => result.status === 'fulfilled')
+            .flatMap(result => result.value)
+            .concat(savedRepos)
+            .filter(repo => !seen.has(repo.id) && seen.add(repo.id));
         
         // Filter out forks if desired (optional)
-        const filteredRepos = repos.filter(repo => !repo.fork);
+        const filteredRepos = sortRepos(repos.filter(repo => !repo.fork), GITHUB_CONFIG.sortBy);
         
-        // Cache the results
-        cache.set(cacheKey, filteredRepos);
+        // Cache complete results only; a partial one would drop the failed accounts' repos
+        if (failures.length === 0) {
+            cache.set(cacheKey, filteredRepos);
+        }
         
         console.log(`✅ Fetched ${filteredRepos.length} repositories`);
-        return filteredRepos;
-        
+        return {
+            repos: filteredRepos,
+            error: failures.length ? failures[0].reason : null,
+            failedAccounts
+        };
+    
     } catch (error) {
         console.error('❌ Error fetching GitHub repos:', error);
         throw error;
@@ -94,7 +291,7 @@ async function fetchGitHubRepos() {
 }
 
 // ===================================================
-// 4. FORMAT DATE
+// 6. FORMAT DATE
 // ===================================================
 // Purpose: Convert ISO date to readable format
 function formatDate(dateString) {
@@ -112,7 +309,7 @@ function formatDate(dateString) {
 }
 
 // ===================================================
-// 5. GET LANGUAGE COLOR
+// 7. GET LANGUAGE COLOR
 // ===================================================
 // Purpose: Return appropriate CSS class for language color
 function getLanguageClass(language) {
@@ -132,7 +329,7 @@ function getLanguageClass(language) {
 }
 
 // ===================================================
-// 6. CREATE PROJECT CARD
+// 8. CREATE PROJECT CARD
 // ===================================================
 // Purpose: Generate HTML for a single project card
 function createProjectCard(repo, index) {
@@ -230,10 +427,43 @@ function createProjectCard(repo, index) {
 }
 
 // ===================================================
-// 7. RENDER PROJECTS
+// 9. RENDER PROJECTS
 // ===================================================
 // Purpose: Display projects in the grid
+// renderProjects() takes a new list of repos; renderProjectGrid() shows the
+// slice the toolbar asks for
+
+// One observer for every card, re-pointed at the new cards on each render
+const cardObserver = new IntersectionObserver((entries) => {
+    entries.forEach(entry => {
+        if (entry.isIntersecting) {
+            entry.target.classList.add('visible');
+        }
+    });
+}, {
+    threshold: 0.1,
+    rootMargin: '0px 0px -50px 0px'
+});
+
 function renderProjects(repos) {
+    projectsView.repos = repos;
+    
+    if (repos.length > 0) {
+        // A shared link may name languages these repos don't have, with no chip to clear them
+        const languages = new Set(repos.map(repo => repo.language || 'Other'));
+        const known = projectsView.languages.filter(language => languages.has(language));
+        if (known.length !== projectsView.languages.length) {
+            projectsView.languages = known;
+            writeProjectsQuery();
+        }
+        
+        buildProjectsToolbar();
+        buildLanguageChips();
+    }
+    renderProjectGrid();
+}
+
+function renderProjectGrid() {
     const projectsGrid = document.getElementById('projectsGrid');
     
     if (!projectsGrid) {
@@ -241,13 +471,16 @@ function renderProjects(repos) {
         return;
     }
     
-    // Clear loading spinner
+    // Clear loading spinner (and stop watching the old cards)
+    cardObserver.disconnect();
     projectsGrid.innerHTML = '';
     
-    // Limit to configured maximum
-    const displayRepos = repos.slice(0, GITHUB_CONFIG.maxProjects);
+    // Filter, sort and limit to what "Show more" has opened up
+    const matchingRepos = getVisibleRepos();
+    const displayRepos = matchingRepos.slice(0, projectsView.limit);
+    updateShowMore(displayRepos.length, matchingRepos.length);
     
-    if (displayRepos.length === 0) {
+    if (projectsView.repos.length === 0) {
         projectsGrid.innerHTML = `
             <div class="projects-error">
                 <h3>No projects found</h3>
@@ -257,34 +490,224 @@ function renderProjects(repos) {
         return;
     }
     
+    if (displayRepos.length === 0) {
+        projectsGrid.innerHTML = `
+            <div class="projects-error">
+                <h3>No matching projects</h3>
+                <p>Try another search or language.</p>
+            </div>
+        `;
+        return;
+    }
+    
     // Create and append project cards
     displayRepos.forEach((repo, index) => {
-        const card = createProjectCard(repo, index);
-        projectsGrid.appendChild(card);
-        
-        // Add to animated elements for scroll detection
-        const animationObserver = new IntersectionObserver((entries) => {
-            entries.forEach(entry => {
-                if (entry.isIntersecting) {
-                    entry.target.classList.add('visible');
-                }
-            });
-        }, {
-            threshold: 0.1,
-            rootMargin: '0px 0px -50px 0px'
-        });
-        
-        animationObserver.observe(card);
+        projectsGrid.appendChild(createProjectCard(repo, index));
     });
     
     // Re-initialize tilt effect for new cards
     initializeTiltEffect();
     
+    // Watch the cards for scroll detection; tilt swaps them for clones, so observe after it
+    projectsGrid.querySelectorAll('.project-card').forEach(card => cardObserver.observe(card));
+    
     console.log(`✨ Rendered ${displayRepos.length} projects`);
 }
 
 // ===================================================
-// 8. INITIALIZE TILT EFFECT
+// 10. PROJECTS TOOLBAR
+// ===================================================
+// Purpose: Search, language chips, sort and "show more" over every fetched
+// repo, all client-side. The state lives in the URL query
+// (?q=chart&lang=PHP,Python&sort=stars&show=12) so a filtered view can be shared.
+const SORT_OPTIONS = {
+    stars: 'Most stars',
+    forks: 'Most forks',
+    updated: 'Recently updated',
+    created: 'Newest',
+    name: 'Name'
+};
+
+const projectsView = {
+    repos: [], // Everything fetched; the grid shows a filtered slice
+    query: '',
+    languages: [], // Selected chips; none selected shows every language
+    sort: GITHUB_CONFIG.sortBy,
+    limit: GITHUB_CONFIG.maxProjects
+};
+
+let searchTimer = null;
+
+function readProjectsQuery() {
+    const params = new URLSearchParams(window.location.search);
+    const show = parseInt(params.get('show'), 10);
+    
+    projectsView.query = params.get('q') || '';
+    projectsView.languages = (params.get('lang') || '').split(',').filter(Boolean);
+    projectsView.sort = params.get('sort') in SORT_OPTIONS ? params.get('sort') : GITHUB_CONFIG.sortBy;
+    projectsView.limit = show > 0 ? show : GITHUB_CONFIG.maxProjects;
+}
+
+// Defaults are left out, so the unfiltered page keeps a clean URL
+function writeProjectsQuery() {
+    const params = new URLSearchParams(window.location.search);
+    const values = {
+        q: projectsView.query.trim(),
+        lang: projectsView.languages.join(','),
+        sort: projectsView.sort !== GITHUB_CONFIG.sortBy ? projectsView.sort : '',
+        show: projectsView.limit !== GITHUB_CONFIG.maxProjects ? projectsView.limit : ''
+    };
+    
+    Object.entries(values).forEach(([key, value]) => {
+        if (value) params.set(key, value);
+        else params.delete(key);
+    });
+    
+    const query = params.toString();
+    history.replaceState(history.state, '', `${window.location.pathname}${query ? `?${query}` : ''}${window.location.hash}`);
+}
+
+function getVisibleRepos() {
+    const query = projectsView.query.trim().toLowerCase();
+    
+    const matches = projectsView.repos.filter(repo => {
+        if (projectsView.languages.length && !projectsView.languages.includes(repo.language || 'Other')) {
+            return false;
+        }
+        if (!query) return true;
+        
+        const text = [repo.name, repo.description || '', ...(repo.topics || [])].join(' ').toLowerCase();
+        return query.split(/\s+/).every(word => text.includes(word));
+    });
+    
+    return sortRepos(matches, projectsView.sort);
+}
+
+// Built once, above the grid; the chips are rebuilt when the repos change
+function buildProjectsToolbar() {
+    const projectsGrid = document.getElementById('projectsGrid');
+    let toolbar = document.getElementById('projectsToolbar');
+    if (toolbar || !projectsGrid) return toolbar;
+    
+    toolbar = document.createElement('div');
+    toolbar.id = 'projectsToolbar';
+    toolbar.className = 'projects-toolbar';
+    toolbar.setAttribute('role', 'search');
+    toolbar.innerHTML = `
+        <input type="search" class="projects-search" aria-label="Search projects" placeholder="Search name, description or topic" autocomplete="off">
+        <div class="projects-languages" role="group" aria-label="Filter by language"></div>
+        <label class="projects-sort">
+            <span>Sort by</span>
+            <select>
+                ${Object.entries(SORT_OPTIONS).map(([value, label]) => `<option value="${value}">${label}</option>`).join('')}
+            </select>
+        </label>
+    `;
+    
+    const search = toolbar.querySelector('input');
+    const sort = toolbar.querySelector('select');
+    search.value = projectsView.query;
+    sort.value = projectsView.sort;
+    
+    // Re-render once typing pauses, not on every keystroke
+    search.addEventListener('input', () => {
+        clearTimeout(searchTimer);
+        searchTimer = setTimeout(() => {
+            projectsView.query = search.value;
+            projectsView.limit = GITHUB_CONFIG.maxProjects;
+            updateProjectsView();
+        }, 200);
+    });
+    sort.addEventListener('change', () => {
+        projectsView.sort = sort.value;
+        updateProjectsView();
+    });
+    toolbar.querySelector('.projects-languages').addEventListener('click', (e) => {
+        const chip = e.target.closest('.language-chip');
+        if (!chip) return;
+        
+        const language = chip.dataset.language;
+        projectsView.languages = projectsView.languages.includes(language)
+            ? projectsView.languages.filter(selected => selected !== language)
+            : [...projectsView.languages, language];
+        projectsView.limit = GITHUB_CONFIG.maxProjects;
+        updateProjectsView();
+    });
+    
+    // The status line (if any) stays directly above the grid
+    const status = document.getElementById('projectsStatus');
+    (status || projectsGrid).before(toolbar);
+    return toolbar;
+}
+
+// One chip per language, most used first, colored like the cards' dots
+function buildLanguageChips() {
+    const container = document.querySelector('#projectsToolbar .projects-languages');
+    if (!container) return;
+    
+    const counts = new Map();
+    projectsView.repos.forEach(repo => {
+        const language = repo.language || 'Other';
+        counts.set(language, (counts.get(language) || 0) + 1);
+    });
+    
+    container.innerHTML = '';
+    Array.from(counts)
+        .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))
+        .forEach(([language, count]) => {
+            const chip = document.createElement('button');
+            chip.type = 'button';
+            chip.className = 'language-chip';
+            chip.dataset.language = language;
+            chip.setAttribute('aria-pressed', String(projectsView.languages.includes(language)));
+            chip.innerHTML = `
+                <span class="language-dot ${getLanguageClass(language === 'Other' ? null : language)}"></span>
+                <span class="language-name"></span>
+                <span class="language-count">${count}</span>
+            `;
+            chip.querySelector('.language-name').textContent = language;
+            container.appendChild(chip);
+        });
+}
+
+// "Show more" under the grid, with how many are showing
+function updateShowMore(shown, total) {
+    const projectsGrid = document.getElementById('projectsGrid');
+    let more = document.getElementById('projectsMore');
+    
+    if (!more && projectsGrid) {
+        more = document.createElement('div');
+        more.id = 'projectsMore';
+        more.className = 'projects-more';
+        more.innerHTML = `
+            <p class="projects-count" aria-live="polite"></p>
+            <button type="button" class="language-chip projects-more-btn">Show more</button>
+        `;
+        more.querySelector('button').addEventListener('click', () => {
+            projectsView.limit += GITHUB_CONFIG.maxProjects;
+            updateProjectsView();
+        });
+        projectsGrid.after(more);
+    }
+    if (!more) return;
+    
+    more.hidden = total === 0;
+    more.querySelector('.projects-count').textContent = `Showing ${shown} of ${total} projects`;
+    more.querySelector('button').hidden = shown >= total;
+}
+
+// Re-render the grid and sync the chips and URL with projectsView
+function updateProjectsView() {
+    document.querySelectorAll('#projectsToolbar .language-chip').forEach(chip => {
+        chip.setAttribute('aria-pressed', String(projectsView.languages.includes(chip.dataset.language)));
+    });
+    
+    writeProjectsQuery();
+    renderProjectGrid();
+}
+
+// ===================================================
+// 11. INITIALIZE TILT EFFECT
 // ===================================================
 // Purpose: Add 3D tilt effect to newly created cards
 function initializeTiltEffect() {
@@ -317,7 +740,7 @@ function initializeTiltEffect() {
 }
 
 // ===================================================
-// 9. ERROR HANDLING
+// 12. ERROR HANDLING
 // ===================================================
 // Purpose: Display error message to user
 function showError(message) {
@@ -330,7 +753,7 @@ function showError(message) {
             <h3>Unable to Load Projects</h3>
             <p>${message}</p>
             <p style="margin-top: 1rem;">
-                <a href="https://github.com/${GITHUB_CONFIG.username}?tab=repositories" 
+                <a href="https://github.com/${getAccounts()[0]}?tab=repositories" 
                    target="_blank" 
                    rel="noopener noreferrer"
                    style="color: var(--color-primary-light); text-decoration: underline;">
@@ -342,22 +765,152 @@ function showError(message) {
 }
 
 // ===================================================
-// 10. INITIALIZE
+// 13. INITIALIZE
 // ===================================================
-// Purpose: Load and display GitHub projects on page load
+// Purpose: Load and display GitHub projects on page load.
+// Cached projects show at once; expired ones stay up while GitHub is asked
+// for changes (stale-while-revalidate). A timer refreshes them when the
+// cache expires, or retries after a rate limit or network error.
+let refreshTimer = null;
+let retryDelay = 0; // Backoff for network errors, doubled per failure
+
 async function initializeGitHubProjects() {
+    const cached = cache.get(getCacheKey());
+    
+    if (cached) {
+        console.log('📦 Using cached GitHub data');
+        renderProjects(cached.data);
+        
+        if (!cached.isExpired) {
+            const refreshAt = cached.timestamp + GITHUB_CONFIG.cacheTime;
+            updateProjectsStatus({ timestamp: cached.timestamp, refreshAt });
+            scheduleRefresh(refreshAt);
+            return;
+        }
+    }
+    
+    await revalidateGitHubProjects();
+}
+
+async function revalidateGitHubProjects() {
+    clearTimeout(refreshTimer);
+    refreshTimer = null;
+    
+    const cached = cache.get(getCacheKey());
+    if (cached) updateProjectsStatus({ timestamp: cached.timestamp, refreshing: true });
+    
     try {
-        const repos = await fetchGitHubRepos();
-        renderProjects(repos);
+        const { repos, error, failedAccounts } = await fetchGitHubRepos();
+        
+        // Nothing changed (all 304s): leave the cards, and their animations, alone
+        if (!cached || JSON.stringify(cached.data) !== JSON.stringify(repos)) {
+            renderProjects(repos);
+        }
+        
+        // Some accounts failed: say so and try them again soon
+        if (error) {
+            const retryAt = getRetryTime(error);
+            updateProjectsStatus({
+                timestamp: cached ? cached.timestamp : null,
+                refreshAt: retryAt,
+                error,
+                failedAccounts
+            });
+            scheduleRefresh(retryAt);
+            return;
+        }
+        
+        retryDelay = 0;
+        const refreshAt = Date.now() + GITHUB_CONFIG.cacheTime;
+        updateProjectsStatus({ timestamp: Date.now(), refreshAt });
+        scheduleRefresh(refreshAt);
     } catch (error) {
         console.error('Failed to load GitHub projects:', error);
-        showError('Please check your internet connection and try again.');
+        
+        const retryAt = getRetryTime(error);
+        scheduleRefresh(retryAt);
+        
+        if (cached) {
+            updateProjectsStatus({ timestamp: cached.timestamp, refreshAt: retryAt, error });
+        } else {
+            updateProjectsStatus(null);
+            showError(error.retryAt
+                ? `GitHub's rate limit was reached. Trying again at ${formatTime(retryAt)}.`
+                : 'Please check your internet connection and try again.');
+        }
+    }
+}
+
+// Rate limits say when to come back; other errors back off exponentially
+function getRetryTime(error) {
+    if (error.retryAt) return Math.max(error.retryAt + 1000, Date.now() + 5000);
+    
+    retryDelay = Math.min(retryDelay ? retryDelay * 2 : 30 * 1000, GITHUB_CONFIG.maxRetryDelay);
+    return Date.now() + retryDelay;
+}
+
+function scheduleRefresh(time) {
+    clearTimeout(refreshTimer);
+    refreshTimer = setTimeout(revalidateGitHubProjects, Math.max(0, time - Date.now()));
+}
+
+// ===================================================
+// 14. DATA STATUS
+// ===================================================
+// Purpose: Tell visitors how old the projects are and when they refresh
+function formatTime(time) {
+    return new Date(time).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+}
+
+function updateProjectsStatus(status) {
+    const projectsGrid = document.getElementById('projectsGrid');
+    if (!projectsGrid) return;
+    
+    let element = document.getElementById('projectsStatus');
+    if (!element) {
+        element = document.createElement('p');
+        element.id = 'projectsStatus';
+        element.className = 'projects-status';
+        element.setAttribute('role', 'status');
+        projectsGrid.before(element);
+    }
+    
+    if (!status) {
+        element.hidden = true;
+        return;
+    }
+    
+    const { timestamp, refreshAt, refreshing, error, failedAccounts } = status;
+    let text = `Updated at ${formatTime(timestamp)}`;
+    
+    if (refreshing) {
+        text += ' · checking for changes…';
+    } else if (error) {
+        const reason = error.retryAt ? 'GitHub rate limit reached'
+            : navigator.onLine === false ? 'you are offline'
+            : 'GitHub could not be reached';
+        
+        if (failedAccounts) {
+            // Only some accounts failed; the rest are up to date
+            const saved = timestamp ? `showing saved projects from ${formatTime(timestamp)}` : 'their projects are missing';
+            text = `Couldn't update ${failedAccounts.join(', ')} (${reason}), ${saved} · retrying at ${formatTime(refreshAt)}`;
+        } else {
+            text = `Showing saved projects from ${formatTime(timestamp)} (${reason}) · retrying at ${formatTime(refreshAt)}`;
+        }
+    } else if (refreshAt) {
+        text += ` · next refresh at ${formatTime(refreshAt)}`;
     }
+    
+    element.hidden = false;
+    element.textContent = text;
+    element.classList.toggle('stale', Boolean(error));
 }
 
 // ===================================================
-// 11. START ON DOM READY
+// 15. START ON DOM READY
 // ===================================================
+readProjectsQuery();
+
 if (document.readyState === 'loading') {
     document.addEventListener('DOMContentLoaded', initializeGitHubProjects);
 } else {
@@ -365,27 +918,22 @@ if (document.readyState === 'loading') {
 }
 
 // ===================================================
-// 12. MANUAL REFRESH FUNCTION
+// 16. MANUAL REFRESH FUNCTION
 // ===================================================
-// Purpose: Allow manual refresh of projects (optional)
+// Purpose: Allow manual refresh of projects (optional).
+// The current projects stay up while GitHub is asked for changes.
 window.refreshGitHubProjects = async function() {
-    const cacheKey = `github_repos_${GITHUB_CONFIG.username}`;
-    localStorage.removeItem(cacheKey);
-    
-    const projectsGrid = document.getElementById('projectsGrid');
-    projectsGrid.innerHTML = `
-        <div class="loading-spinner">
-            <div class="spinner"></div>
-            <p>Refreshing projects...</p>
-        </div>
-    `;
-    
-    await initializeGitHubProjects();
+    await revalidateGitHubProjects();
 };
 
+// Back online: try again now rather than waiting for the scheduled retry
+window.addEventListener('online', () => {
+    if (refreshTimer) revalidateGitHubProjects();
+});
+
 // ===================================================
 // INITIALIZATION LOG
 // ===================================================
 console.log('🐙 GitHub Projects module loaded');
-console.log(`   Username: ${GITHUB_CONFIG.username}`);
+console.log(`   Accounts: ${getAccounts().join(', ')}`);
 console.log(`   Max projects: ${GITHUB_CONFIG.maxProjects}`);
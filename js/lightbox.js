@@ -0,0 +1,557 @@
+/* 
+===================================================
+CAROUSEL LIGHTBOX - Fullscreen slide viewer
+===================================================
+Purpose: Open a carousel slide fullscreen, growing out of the slide itself
+Motion: FLIP transition from the slide's box to the viewer and back
+Interaction: Pinch, wheel and double-click zoom, drag to pan, swipe, arrow
+keys and buttons to move - always in step with the Carousel3D underneath
+Accessibility: Modal dialog with a focus trap; Escape closes and focus
+returns to the slide
+*/
+
+// ===================================================
+// 1. LIGHTBOX CONFIGURATION
+// ===================================================
+const lightboxConfig = {
+    duration: 450,            // Open/close transition in ms
+    easing: 'cubic-bezier(0.16, 1, 0.3, 1)', // Expo ease out
+    maxZoom: 4,               // Largest zoom factor
+    wheelZoomSpeed: 0.002,    // Zoom per pixel of wheel delta
+    swipeThreshold: 60,       // Horizontal swipe (px) that moves to the next slide
+    maxWidth: 0.9,            // Viewer size as a fraction of the viewport
+    maxHeight: 0.75
+};
+
+// ===================================================
+// 2. LIGHTBOX CLASS
+// ===================================================
+class CarouselLightbox {
+    constructor(carousel, options = {}) {
+        this.carousel = carousel;
+        this.config = Object.assign(Object.create(lightboxConfig), options);
+        
+        // State
+        this.isOpen = false;
+        this.isTransitioning = false;
+        this.index = 0;
+        this.zoom = { scale: 1, x: 0, y: 0 };
+        this.pointers = new Map();  // Active pointers by id: { x, y }
+        this.gesture = null;        // Pinch/pan/swipe in progress
+        this.gestureMoved = false;  // The last gesture moved, so its click isn't a tap
+        this.pressOutside = false;  // The last press began beside the picture
+        this.returnFocus = null;
+        this.listeners = [];
+        this.unsubscribe = [];
+        
+        this.build();
+        this.decorateSlides();
+        this.bindSlides();
+        
+        console.log('🔍 Lightbox ready for', carousel.totalItems, 'slides');
+    }
+    
+    // ===================================================
+    // 3. MARKUP
+    // ===================================================
+    // Built once and kept hidden at the end of <body>
+    build() {
+        this.element = document.createElement('div');
+        this.element.className = 'lightbox';
+        this.element.hidden = true;
+        this.element.setAttribute('role', 'dialog');
+        this.element.setAttribute('aria-modal', 'true');
+        this.element.setAttribute('aria-label', 'Slide viewer');
+        this.element.tabIndex = -1; // Takes focus from clicks, so keys keep working
+        this.element.innerHTML = `
+            <div class="lightbox-backdrop"></div>
+            <div class="lightbox-stage">
+                <div class="lightbox-figure">
+                    <div class="lightbox-zoom"></div>
+                </div>
+            </div>
+            <div class="lightbox-caption">
+                <p class="lightbox-counter"></p>
+                <h3 class="lightbox-title"></h3>
+                <p class="lightbox-description"></p>
+            </div>
+            <button type="button" class="carousel-btn lightbox-btn lightbox-close" aria-label="Close viewer">
+                <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" aria-hidden="true">
+                    <path d="M18 6L6 18M6 6l12 12"/>
+                </svg>
+            </button>
+            <button type="button" class="carousel-btn lightbox-btn lightbox-prev" aria-label="Previous slide">
+                <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" aria-hidden="true">
+                    <path d="M15 18l-6-6 6-6"/>
+                </svg>
+            </button>
+            <button type="button" class="carousel-btn lightbox-btn lightbox-next" aria-label="Next slide">
+                <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" aria-hidden="true">
+                    <path d="M9 18l6-6-6-6"/>
+                </svg>
+            </button>
+        `;
+        
+        this.backdrop = this.element.querySelector('.lightbox-backdrop');
+        this.stage = this.element.querySelector('.lightbox-stage');
+        this.figure = this.element.querySelector('.lightbox-figure');
+        this.zoomLayer = this.element.querySelector('.lightbox-zoom');
+        this.caption = this.element.querySelector('.lightbox-caption');
+        this.counter = this.element.querySelector('.lightbox-counter');
+        this.title = this.element.querySelector('.lightbox-title');
+        this.description = this.element.querySelector('.lightbox-description');
+        this.buttons = Array.from(this.element.querySelectorAll('.lightbox-btn'));
+        
+        this.listen(this.element.querySelector('.lightbox-close'), 'click', () => this.close());
+        this.listen(this.element.querySelector('.lightbox-prev'), 'click', () => this.carousel.prev());
+        this.listen(this.element.querySelector('.lightbox-next'), 'click', () => this.carousel.next());
+        this.listen(this.backdrop, 'click', () => this.close());
+        this.listen(this.element, 'keydown', (e) => this.handleKeydown(e));
+        this.listen(this.element, 'pointerdown', () => {
+            if (!this.element.contains(document.activeElement)) this.element.focus({ preventScroll: true });
+        });
+        
+        this.setupZoom();
+        document.body.appendChild(this.element);
+    }
+    
+    // The slide's image area becomes the button that opens it
+    decorateSlides() {
+        this.carousel.items.forEach(item => {
+            const trigger = item.querySelector('.image-overlay');
+            if (!trigger) return;
+            
+            const title = this.carousel.getItemTitle(item);
+            trigger.setAttribute('role', 'button');
+            trigger.setAttribute('tabindex', '0');
+            trigger.setAttribute('aria-haspopup', 'dialog');
+            trigger.setAttribute('aria-label', `View ${title || 'slide'} fullscreen`);
+        });
+    }
+    
+    bindSlides() {
+        // Ignore the click that ends a mouse drag
+        let dragged = false;
+        this.unsubscribe.push(this.carousel.on('dragend', ({ distance }) => {
+            dragged = Math.abs(distance) > 5;
+            setTimeout(() => { dragged = false; }, 0);
+        }));
+        
+        this.listen(this.carousel.track, 'click', (e) => {
+            const trigger = e.target.closest('.image-overlay');
+            if (trigger && !dragged) this.openFrom(trigger);
+        });
+        this.listen(this.carousel.track, 'keydown', (e) => {
+            const trigger = e.target.closest('.image-overlay');
+            if (trigger && (e.key === 'Enter' || e.key === ' ')) {
+                e.preventDefault();
+                this.openFrom(trigger);
+            }
+        });
+        
+        // Stay on the carousel's slide, whoever moved it
+        this.unsubscribe.push(this.carousel.on('change', ({ index }) => {
+            if (this.isOpen) this.show(index, true);
+        }));
+        this.unsubscribe.push(this.carousel.on('slideschange', () => {
+            this.decorateSlides();
+            if (this.isOpen) this.close();
+        }));
+    }
+    
+    openFrom(trigger) {
+        const item = trigger.closest('.carousel-item');
+        const slot = this.carousel.slides.indexOf(item);
+        if (slot !== -1) this.open(this.carousel.getSlotIndex(slot));
+    }
+    
+    // ===================================================
+    // 4. OPEN, CLOSE & FLIP
+    // ===================================================
+    // First: the slide's box. Last: the viewer's box. Invert: transform the
+    // viewer back onto the slide. Play: animate the transform away.
+    async open(index = this.carousel.currentIndex) {
+        if (this.isOpen || this.isTransitioning || this.carousel.totalItems === 0) return;
+        
+        this.isOpen = true;
+        this.isTransitioning = true;
+        this.returnFocus = document.activeElement;
+        
+        // Bring the slide to the front first so the viewer grows out of it
+        if (index !== this.carousel.currentIndex) this.carousel.goTo(index, false);
+        this.carousel.pauseAutoplay('lightbox');
+        
+        const from = this.getSlideBox();
+        this.element.hidden = false;
+        document.documentElement.classList.add('lightbox-open');
+        this.show(this.carousel.currentIndex, false);
+        this.element.querySelector('.lightbox-close').focus({ preventScroll: true });
+        
+        await this.flip(from, false);
+        this.isTransitioning = false;
+    }
+    
+    async close() {
+        if (!this.isOpen || this.isTransitioning) return;
+        
+        this.isTransitioning = true;
+        this.endGesture();
+        this.setZoom(1, 0, 0);
+        
+        await this.flip(this.getSlideBox(), true);
+        
+        this.element.hidden = true;
+        document.documentElement.classList.remove('lightbox-open');
+        this.isOpen = false;
+        this.isTransitioning = false;
+        this.carousel.resumeAutoplay('lightbox');
+        
+        // Back to the slide now showing, or wherever focus came from
+        const item = this.carousel.items[this.carousel.currentIndex];
+        const trigger = item && item.querySelector('.image-overlay[tabindex]');
+        (trigger || this.returnFocus || document.body).focus({ preventScroll: true });
+    }
+    
+    // The visible copy of the current slide's image (a clone while looping)
+    getSlideBox() {
+        const slide = this.carousel.slides[this.carousel.position];
+        const image = slide && (slide.querySelector('.item-image') || slide);
+        return image ? image.getBoundingClientRect() : null;
+    }
+    
+    flip(from, reverse) {
+        const duration = this.prefersReducedMotion() ? 0 : this.config.duration;
+        const to = this.figure.getBoundingClientRect();
+        const timing = { duration, easing: this.config.easing, fill: 'forwards' };
+        
+        const fade = [{ opacity: 0 }, { opacity: 1 }];
+        const fades = [this.backdrop, this.caption, ...this.buttons].map(element =>
+            element.animate(reverse ? fade.slice().reverse() : fade, timing));
+        
+        let grow = null;
+        if (from && to.width && to.height) {
+            const slideFrame = {
+                transform: `translate(${from.left - to.left}px, ${from.top - to.top}px) ` +
+                    `scale(${from.width / to.width}, ${from.height / to.height})`
+            };
+            const viewerFrame = { transform: 'none' };
+            grow = this.figure.animate(reverse ? [viewerFrame, slideFrame] : [slideFrame, viewerFrame], timing);
+        }
+        
+        const animations = grow ? [grow, ...fades] : fades;
+        return new Promise(resolve => {
+            const last = animations[animations.length - 1];
+            last.onfinish = () => {
+                animations.forEach(animation => animation.cancel());
+                resolve();
+            };
+        });
+    }
+    
+    prefersReducedMotion() {
+        return Boolean(window.matchMedia && window.matchMedia('(prefers-reduced-motion: reduce)').matches);
+    }
+    
+    // ===================================================
+    // 5. SLIDE CONTENT
+    // ===================================================
+    // Copy the slide's image (or gradient) and caption into the viewer
+    show(index, crossfade) {
+        const item = this.carousel.items[index];
+        if (!item) return;
+        
+        this.index = index;
+        this.endGesture();
+        this.setZoom(1, 0, 0);
+        
+        const source = item.querySelector('.item-image');
+        const content = source ? source.cloneNode(true) : document.createElement('div');
+        content.querySelectorAll('.image-overlay').forEach(overlay => overlay.remove());
+        content.querySelectorAll('img[data-src]').forEach(image => {
+            image.src = image.dataset.src;
+            image.removeAttribute('data-src');
+        });
+        content.querySelectorAll('[id]').forEach(element => element.removeAttribute('id'));
+        this.zoomLayer.replaceChildren(content);
+        
+        // Size the viewer to the picture's shape, or the slide's if it has none yet
+        const image = content.querySelector('img');
+        const box = source ? source.getBoundingClientRect() : null;
+        let aspect = box && box.height ? box.width / box.height : 4 / 3;
+        if (image && image.naturalWidth) aspect = image.naturalWidth / image.naturalHeight;
+        this.sizeFigure(aspect);
+        
+        const heading = item.querySelector('h1, h2, h3, h4, h5, h6');
+        const text = item.querySelector('.item-info p');
+        this.counter.textContent = `${index + 1} / ${this.carousel.totalItems}`;
+        this.title.textContent = heading ? heading.textContent : '';
+        this.description.textContent = text ? text.textContent : '';
+        this.element.setAttribute('aria-label', `${this.title.textContent || 'Slide'} (${index + 1} of ${this.carousel.totalItems})`);
+        
+        if (crossfade && !this.prefersReducedMotion()) {
+            this.zoomLayer.animate([{ opacity: 0 }, { opacity: 1 }], { duration: 250, easing: 'ease-out' });
+        }
+    }
+    
+    sizeFigure(aspect) {
+        const maxWidth = window.innerWidth * this.config.maxWidth;
+        const maxHeight = window.innerHeight * this.config.maxHeight;
+        const width = Math.min(maxWidth, maxHeight * aspect);
+        
+        this.figure.style.width = `${Math.round(width)}px`;
+        this.figure.style.height = `${Math.round(width / aspect)}px`;
+    }
+    
+    // ===================================================
+    // 6. ZOOM, PAN & SWIPE
+    // ===================================================
+    // One pointer pans when zoomed in and swipes between slides when not;
+    // two pointers pinch. Wheel (and trackpad pinch, which arrives as
+    // ctrl+wheel) zooms around the cursor.
+    setupZoom() {
+        this.listen(this.stage, 'wheel', (e) => {
+            e.preventDefault();
+            const factor = Math.exp(-e.deltaY * this.config.wheelZoomSpeed * (e.deltaMode === 1 ? 16 : 1));
+            this.zoomAt(this.zoom.scale * factor, e.clientX, e.clientY);
+        }, { passive: false });
+        
+        // A tap beside the picture closes, like one on the backdrop. Pointer
+        // capture sends every click to the stage, so go by where the press began.
+        this.listen(this.stage, 'click', () => {
+            if (this.pressOutside && !this.gestureMoved) this.close();
+        });
+        
+        this.listen(this.stage, 'dblclick', (e) => {
+            this.zoomAt(this.zoom.scale > 1 ? 1 : 2, e.clientX, e.clientY);
+        });
+        
+        this.listen(this.stage, 'pointerdown', (e) => {
+            if (this.isTransitioning || (e.pointerType === 'mouse' && e.button !== 0)) return;
+            
+            if (this.pointers.size === 0) this.pressOutside = !this.figure.contains(e.target);
+            if (this.stage.setPointerCapture) this.stage.setPointerCapture(e.pointerId);
+            this.pointers.set(e.pointerId, { x: e.clientX, y: e.clientY });
+            this.gestureMoved = false;
+            this.beginGesture();
+        });
+        this.listen(this.stage, 'pointermove', (e) => {
+            if (!this.pointers.has(e.pointerId)) return;
+            
+            this.pointers.set(e.pointerId, { x: e.clientX, y: e.clientY });
+            this.moveGesture();
+        });
+        const release = (e) => {
+            if (!this.pointers.delete(e.pointerId)) return;
+            
+            if (this.pointers.size === 0) this.endGesture(true);
+            else this.beginGesture(); // Pinch down to one finger: carry on panning from here
+        };
+        this.listen(this.stage, 'pointerup', release);
+        this.listen(this.stage, 'pointercancel', release);
+    }
+    
+    // Snapshot the pointers and zoom at the start of a gesture
+    beginGesture() {
+        const points = Array.from(this.pointers.values());
+        const center = this.getCenter(points);
+        
+        this.gesture = {
+            type: points.length > 1 ? 'pinch' : this.zoom.scale > 1 ? 'pan' : 'swipe',
+            start: center,
+            distance: points.length > 1 ? Math.hypot(points[0].x - points[1].x, points[0].y - points[1].y) : 0,
+            zoom: Object.assign({}, this.zoom)
+        };
+    }
+    
+    moveGesture() {
+        const gesture = this.gesture;
+        if (!gesture) return;
+        
+        const points = Array.from(this.pointers.values());
+        const center = this.getCenter(points);
+        const dx = center.x - gesture.start.x;
+        const dy = center.y - gesture.start.y;
+        
+        if (gesture.type === 'pinch' && points.length > 1) {
+            const distance = Math.hypot(points[0].x - points[1].x, points[0].y - points[1].y);
+            const scale = this.clampScale(gesture.zoom.scale * (distance / (gesture.distance || distance)));
+            
+            // Keep the content under the fingers' midpoint, then follow it
+            const origin = this.toFigure(gesture.start.x, gesture.start.y);
+            const ratio = scale / gesture.zoom.scale;
+            this.setZoom(
+                scale,
+                origin.x - (origin.x - gesture.zoom.x) * ratio + dx,
+                origin.y - (origin.y - gesture.zoom.y) * ratio + dy
+            );
+        } else if (gesture.type === 'pan') {
+            this.gestureMoved = this.gestureMoved || Math.hypot(dx, dy) > 5;
+            this.setZoom(this.zoom.scale, gesture.zoom.x + dx, gesture.zoom.y + dy);
+        } else if (gesture.type === 'swipe') {
+            // The picture follows the finger sideways until released
+            gesture.dx = dx;
+            this.gestureMoved = Math.abs(dx) > 5;
+            this.zoomLayer.style.transform = `translateX(${dx}px)`;
+        }
+    }
+    
+    endGesture(commit = false) {
+        const gesture = this.gesture;
+        this.gesture = null;
+        if (!commit) {
+            this.pointers.clear();
+            return;
+        }
+        
+        if (gesture && gesture.type === 'swipe') {
+            const dx = gesture.dx || 0;
+            this.setZoom(1, 0, 0);
+            if (dx <= -this.config.swipeThreshold) this.carousel.next();
+            else if (dx >= this.config.swipeThreshold) this.carousel.prev();
+        }
+    }
+    
+    // Zoom to `scale`, keeping the point under (clientX, clientY) still
+    zoomAt(scale, clientX, clientY) {
+        scale = this.clampScale(scale);
+        const origin = this.toFigure(clientX, clientY);
+        const ratio = scale / this.zoom.scale;
+        
+        this.setZoom(
+            scale,
+            origin.x - (origin.x - this.zoom.x) * ratio,
+            origin.y - (origin.y - this.zoom.y) * ratio
+        );
+    }
+    
+    // Apply zoom and pan, keeping the picture covering the viewer
+    setZoom(scale, x, y) {
+        const width = this.figure.offsetWidth;
+        const height = this.figure.offsetHeight;
+        const maxX = ((scale - 1) * width) / 2;
+        const maxY = ((scale - 1) * height) / 2;
+        
+        this.zoom = {
+            scale,
+            x: Math.max(-maxX, Math.min(maxX, x)),
+            y: Math.max(-maxY, Math.min(maxY, y))
+        };
+        this.zoomLayer.style.transform = scale === 1 && !this.zoom.x && !this.zoom.y
+            ? ''
+            : `translate(${this.zoom.x}px, ${this.zoom.y}px) scale(${scale})`;
+        this.figure.classList.toggle('zoomed', scale > 1);
+    }
+    
+    clampScale(scale) {
+        return Math.max(1, Math.min(this.config.maxZoom, scale));
+    }
+    
+    // Client coordinates relative to the figure's center (the zoom origin)
+    toFigure(clientX, clientY) {
+        const box = this.figure.getBoundingClientRect();
+        return {
+            x: clientX - (box.left + box.width / 2),
+            y: clientY - (box.top + box.height / 2)
+        };
+    }
+    
+    getCenter(points) {
+        const sum = points.reduce((total, point) => ({ x: total.x + point.x, y: total.y + point.y }), { x: 0, y: 0 });
+        return { x: sum.x / points.length, y: sum.y / points.length };
+    }
+    
+    // ===================================================
+    // 7. KEYBOARD & FOCUS TRAP
+    // ===================================================
+    handleKeydown(e) {
+        switch (e.key) {
+            case 'Escape':
+                e.preventDefault();
+                this.close();
+                break;
+            case 'ArrowLeft':
+                e.preventDefault();
+                this.carousel.prev();
+                break;
+            case 'ArrowRight':
+                e.preventDefault();
+                this.carousel.next();
+                break;
+            case '+':
+            case '=':
+                e.preventDefault();
+                this.setZoom(this.clampScale(this.zoom.scale * 1.25), this.zoom.x, this.zoom.y);
+                break;
+            case '-':
+                e.preventDefault();
+                this.setZoom(this.clampScale(this.zoom.scale / 1.25), this.zoom.x, this.zoom.y);
+                break;
+            case 'Tab':
+                this.trapFocus(e);
+                break;
+        }
+    }
+    
+    // Tab and Shift+Tab cycle through the viewer's buttons only
+    trapFocus(e) {
+        const first = this.buttons[0];
+        const last = this.buttons[this.buttons.length - 1];
+        
+        const active = document.activeElement;
+        if (e.shiftKey && (active === first || active === this.element || !this.element.contains(active))) {
+            e.preventDefault();
+            last.focus();
+        } else if (!e.shiftKey && active === last) {
+            e.preventDefault();
+            first.focus();
+        }
+    }
+    
+    // ===================================================
+    // 8. EVENT HELPERS & CLEANUP
+    // ===================================================
+    listen(target, type, handler, options) {
+        target.addEventListener(type, handler, options);
+        this.listeners.push({ target, type, handler, options });
+    }
+    
+    destroy() {
+        if (this.isOpen) {
+            document.documentElement.classList.remove('lightbox-open');
+            this.carousel.resumeAutoplay('lightbox');
+        }
+        
+        this.listeners.forEach(({ target, type, handler, options }) => {
+            target.removeEventListener(type, handler, options);
+        });
+        this.listeners = [];
+        this.unsubscribe.forEach(off => off());
+        this.unsubscribe = [];
+        
+        this.carousel.items.forEach(item => {
+            const trigger = item.querySelector('.image-overlay');
+            if (!trigger) return;
+            ['role', 'tabindex', 'aria-haspopup', 'aria-label'].forEach(name => trigger.removeAttribute(name));
+        });
+        this.element.remove();
+        
+        console.log('🔍 Lightbox destroyed');
+    }
+}
+
+// ===================================================
+// 9. INITIALIZE
+// ===================================================
+// Every carousel marked data-lightbox gets a viewer. Runs after carousel.js
+// (script order), so the carousels already exist.
+document.addEventListener('DOMContentLoaded', () => {
+    if (typeof Carousel3D === 'undefined') return;
+    
+    document.querySelectorAll('.carousel-container[data-lightbox]').forEach(container => {
+        const carousel = Carousel3D.get(container);
+        if (carousel) carousel.lightbox = new CarouselLightbox(carousel);
+    });
+    
+    // Expose to window for debugging (optional)
+    window.CarouselLightbox = CarouselLightbox;
+});
@@ -10,10 +10,24 @@ Performance: Modular architecture for maintainability
 // 1. SMOOTH SCROLL BEHAVIOR
 // ===================================================
 // Purpose: Enhanced smooth scrolling with offset for fixed nav
+// Deep links (#showcase/3) scroll to the section; the carousel opens the item
 document.querySelectorAll('a[href^="#"]').forEach(anchor => {
     anchor.addEventListener('click', function (e) {
         e.preventDefault();
-        const target = document.querySelector(this.getAttribute('href'));
+        const href = this.getAttribute('href');
+        const [id, item] = href.slice(1).split('/');
+        const target = id ? document.getElementById(id) : null;
+        
+        if (target && item) {
+            // Record the link and have the section's carousels follow it
+            history.pushState(null, '', href);
+            if (typeof Carousel3D !== 'undefined') {
+                target.querySelectorAll('.carousel-container').forEach(container => {
+                    const carousel = Carousel3D.get(container);
+                    if (carousel && carousel.deepLinkId) carousel.followHash();
+                });
+            }
+        }
         
         if (target) {
             // Calculate offset for fixed navigation
@@ -0,0 +1,889 @@
+/* 
+===================================================
+PARTICLE CORE - Deterministic particle simulation
+===================================================
+Purpose: The simulation behind ParticleField as plain data and functions:
+configuration, behaviors, particles and a pure step(state, dt, inputs)
+Determinism: All randomness comes from a seedable PRNG, so the same seed,
+size and inputs always produce the same particles
+Timing: dt is in milliseconds; motion is tuned per 60fps frame and scaled
+by dt, so 30fps, 60fps and 144fps displays move at the same speed
+Environments: No DOM or canvas access. Loaded as a classic script before
+particles.js (and in the render worker), or with require() under Node.
+
+Usage (Node):
+    const { createSimulation, resizeSimulation, step } = require('./js/particle-core.js');
+    const state = createSimulation({ seed: 42, preset: 'flow' });
+    resizeSimulation(state, 800, 600);
+    step(state, 16, { pointers: [{ x: 400, y: 300, radius: 150 }] });
+*/
+
+// ===================================================
+// 1. DEFAULT CONFIGURATION
+// ===================================================
+// Every ParticleField merges its own options over these defaults,
+// so several fields on one page never share mutable state
+const PARTICLE_DEFAULTS = {
+    particleCount: 100,        // Particles for a 1920x1080 canvas (scaled by area)
+    scaleWithArea: true,       // Scale particleCount with canvas area
+    particleSize: 2,           // Base particle radius
+    particleSpeed: 0.5,        // Base movement speed
+    connectionDistance: 120,   // Max distance for particle connections
+    mouseRadius: 150,          // Mouse (and pen) interaction radius
+    touchRadius: 110,          // Finger interaction radius, per touch point
+    mouseForce: 0.5,           // Strength of mouse attraction/repulsion
+    mouseMode: 'repel',        // 'repel' or 'attract' for the pointer behavior
+    interactionTarget: 'parent', // Element receiving pointer events: 'parent', 'canvas' or a selector
+    gestures: {
+        tap: 'burst',          // Effect for a quick tap/click (see PARTICLE_GESTURES)
+        longPress: 'attract',  // Effect while a press is held down
+        longPressDelay: 500,   // ms before a press counts as long
+        pulseStrength: 6       // Impulse of the pulse effect
+    },
+    edges: 'bounce',           // 'bounce' off the edges or 'wrap' around them
+    lifespan: null,            // Ambient particle life in ms (number or [min, max]); null lives forever
+    fadeIn: 600,               // ms to fade a particle in after it spawns
+    fadeOut: 600,              // ms to fade it out before its lifespan ends
+    particleLimit: 1500,       // Global cap on live particles; further spawns recycle the oldest
+    burst: {                   // Click explosions (see spawnBurst)
+        count: 40,             // Particles per burst
+        speed: 5,              // Top launch speed (per 60fps frame)
+        color: null,           // CSS color or array to pick from; null uses colors.particle
+        lifespan: [500, 1200], // ms, number or [min, max]
+        size: 1,               // Multiplier on particleSize
+        drag: 0.94,            // Velocity kept per frame
+        gravity: 0.03          // Downward acceleration per frame
+    },
+    behaviors: [               // Force pipeline, applied in order (see MOTION BEHAVIORS)
+        { type: 'pointer' }
+    ],
+    preset: null,              // Name from PARTICLE_PRESETS, merged under these options
+    seed: null,                // PRNG seed for a reproducible simulation (null picks one at random)
+    formation: {               // Text/logo formation mode (see formText, formSvg, morph)
+        sampleGap: 6,          // Pixels between sampled target points
+        maxParticles: 700,     // Cap on particles spawned to fill a shape
+        stiffness: 0.02,       // Spring pull towards the target point
+        damping: 0.88,         // Velocity kept per frame while forming
+        maxSpeed: 8,           // Speed limit while flying to a target
+        scatterForce: 4,       // Pointer push that breaks the shape apart
+        connectionDistance: 14, // Shorter links while formed keep the shape crisp
+        font: '900 {size}px "Playfair Display", serif', // {size} is fitted to the canvas
+        fill: 0.8              // Fraction of the canvas the shape may span
+    },
+    useWorker: false,          // Render off the main thread when OffscreenCanvas is available
+    maxPixelRatio: 2,          // Cap on devicePixelRatio for the backing store
+    quality: 'auto',           // 'auto' (adaptive) or a fixed tier: 'high', 'medium', 'low'
+    targetFps: 60,             // Frame rate the adaptive quality governor aims for
+    reportQuality: false,      // Mirror the tier to <html data-quality> for CSS and other modules
+    themeColors: true,         // Read colors from --particle-* CSS custom properties
+    trailColor: 'rgba(15, 15, 35, 0.1)', // Clear color (alpha creates motion blur)
+    colors: {
+        particle: 'rgba(99, 102, 241, 0.8)',      // Particle color
+        connection: 'rgba(99, 102, 241, 0.15)',   // Connection line color
+        mouseConnection: 'rgba(129, 140, 248, 0.3)' // Mouse connection color
+    }
+};
+
+// Reference area used when scaling particleCount
+const BASE_AREA = 1920 * 1080;
+
+// Recursively merge plain objects (arrays such as behaviors are replaced)
+function mergeOptions(base, overrides) {
+    const result = { ...base };
+    
+    Object.keys(overrides || {}).forEach(key => {
+        const value = overrides[key];
+        const isPlainObject = Object.prototype.toString.call(value) === '[object Object]';
+        
+        result[key] = isPlainObject && base[key] && typeof base[key] === 'object'
+            ? mergeOptions(base[key], value)
+            : value;
+    });
+    
+    return result;
+}
+
+// Layer a preset (if named) between the current options and the overrides
+function applyOptions(base, overrides) {
+    const preset = overrides && overrides.preset && PARTICLE_PRESETS[overrides.preset];
+    
+    if (overrides && overrides.preset && !preset) {
+        console.warn(`⚠️ Unknown particle preset "${overrides.preset}"`);
+    }
+    
+    return mergeOptions(preset ? mergeOptions(base, preset) : base, overrides);
+}
+
+// Runtime changes: `ownOptions` is every option given so far, overrides included.
+// A preset starts again from the defaults, so nothing of the previous one lingers.
+function reapplyOptions(config, ownOptions, overrides) {
+    return overrides && overrides.preset
+        ? applyOptions(PARTICLE_DEFAULTS, ownOptions)
+        : applyOptions(config, overrides);
+}
+
+// ===================================================
+// 2. RANDOMNESS & NOISE
+// ===================================================
+// Purpose: Seedable PRNG (mulberry32) so a simulation can be replayed exactly.
+// Returns a function with the same contract as Math.random.
+function createRandom(seed) {
+    let value = seed >>> 0;
+    
+    return function random() {
+        value = (value + 0x6D2B79F5) >>> 0;
+        let t = value;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+// Built-in 2D Perlin noise for flow fields (no dependencies)
+// Returns smooth values in roughly [-1, 1]
+function createNoise2D(random = Math.random) {
+    // Shuffled permutation table, doubled to skip index wrapping
+    const permutation = Array.from({ length: 256 }, (_, i) => i);
+    for (let i = 255; i > 0; i--) {
+        const j = Math.floor(random() * (i + 1));
+        [permutation[i], permutation[j]] = [permutation[j], permutation[i]];
+    }
+    const perm = permutation.concat(permutation);
+    
+    // Quintic fade curve: 6t^5 - 15t^4 + 10t^3
+    const fade = t => t * t * t * (t * (t * 6 - 15) + 10);
+    const lerp = (a, b, t) => a + t * (b - a);
+    
+    // Dot product with one of 8 gradient directions
+    const grad = (hash, x, y) => {
+        const h = hash & 7;
+        const u = h < 4 ? x : y;
+        const v = h < 4 ? y : x;
+        return ((h & 1) ? -u : u) + ((h & 2) ? -2 * v : 2 * v);
+    };
+    
+    return function noise(x, y) {
+        const xi = Math.floor(x) & 255;
+        const yi = Math.floor(y) & 255;
+        const xf = x - Math.floor(x);
+        const yf = y - Math.floor(y);
+        const u = fade(xf);
+        const v = fade(yf);
+        
+        const aa = perm[perm[xi] + yi];
+        const ab = perm[perm[xi] + yi + 1];
+        const ba = perm[perm[xi + 1] + yi];
+        const bb = perm[perm[xi + 1] + yi + 1];
+        
+        const x1 = lerp(grad(aa, xf, yf), grad(ba, xf - 1, yf), u);
+        const x2 = lerp(grad(ab, xf, yf - 1), grad(bb, xf - 1, yf - 1), u);
+        return lerp(x1, x2, v) * 0.5;
+    };
+}
+
+// ===================================================
+// 3. MOTION BEHAVIORS
+// ===================================================
+// Purpose: Composable forces applied to every particle each step.
+// Each entry in config.behaviors names one of these by `type`; the rest of
+// the entry are its parameters. Positions (x, y) are fractions of the canvas.
+// Strengths are per 60fps frame; `frames` is how many of those the step spans.
+// Add your own with PARTICLE_BEHAVIORS.myForce = (particle, state, params, frames) => {...}
+// (custom behaviors only exist on the main thread, not in the render worker).
+const PARTICLE_BEHAVIORS = {
+    // Repulsion (default) or attraction around every active pointer
+    pointer(particle, state, params, frames) {
+        const { config } = state;
+        const strength = params.force || config.mouseForce;
+        
+        state.pointers.forEach(pointer => {
+            const radius = params.radius || pointer.radius;
+            const dx = pointer.x - particle.x;
+            const dy = pointer.y - particle.y;
+            const distance = Math.sqrt(dx * dx + dy * dy);
+            
+            // If the pointer is nearby, apply force
+            if (distance < radius && distance > 0) {
+                const force = (radius - distance) / radius * strength;
+                // A held long-press can switch a single pointer's mode
+                const mode = pointer.mode || params.mode || config.mouseMode;
+                const direction = mode === 'attract' ? 1 : -1;
+                
+                particle.vx += (dx / distance) * force * direction * frames;
+                particle.vy += (dy / distance) * force * direction * frames;
+            }
+        });
+    },
+    
+    // Point attractor (positive strength) or repeller (negative strength)
+    attractor(particle, state, params, frames) {
+        const dx = params.x * state.width - particle.x;
+        const dy = params.y * state.height - particle.y;
+        const distance = Math.sqrt(dx * dx + dy * dy);
+        const radius = params.radius || Infinity;
+        
+        if (distance < radius && distance > 1) {
+            // Falls off with distance, but never explodes near the centre
+            const force = (params.strength || 0.05) / Math.max(distance / 100, 1) * frames;
+            particle.vx += (dx / distance) * force;
+            particle.vy += (dy / distance) * force;
+        }
+    },
+    
+    // Constant acceleration, e.g. { x: 0, y: 0.02 } for falling particles
+    gravity(particle, state, params, frames) {
+        particle.vx += (params.x || 0) * frames;
+        particle.vy += (params.y === undefined ? 0.02 : params.y) * frames;
+    },
+    
+    // Swirl around a centre (positive strength is clockwise)
+    vortex(particle, state, params, frames) {
+        const cx = (params.x === undefined ? 0.5 : params.x) * state.width;
+        const cy = (params.y === undefined ? 0.5 : params.y) * state.height;
+        const dx = particle.x - cx;
+        const dy = particle.y - cy;
+        const distance = Math.sqrt(dx * dx + dy * dy);
+        const radius = params.radius || Math.max(state.width, state.height);
+        
+        if (distance < radius && distance > 1) {
+            const force = (params.strength || 0.05) * (1 - distance / radius) * frames;
+            // Perpendicular to the radius vector
+            particle.vx += (-dy / distance) * force;
+            particle.vy += (dx / distance) * force;
+        }
+    },
+    
+    // Steer along a slowly evolving Perlin noise field
+    flowField(particle, state, params, frames) {
+        const scale = params.scale || 0.003;
+        // Evolves per 60fps frame of simulated time, whatever the display rate
+        const evolve = (params.speed === undefined ? 0.002 : params.speed) * (state.time / FRAME_MS);
+        const angle = state.noise(particle.x * scale, particle.y * scale + evolve) * Math.PI * 2;
+        const strength = (params.strength || 0.05) * frames;
+        
+        particle.vx += Math.cos(angle) * strength;
+        particle.vy += Math.sin(angle) * strength;
+    },
+    
+    // Velocity damping
+    friction(particle, state, params, frames) {
+        const keep = Math.pow(1 - (params.amount || 0.02), frames);
+        particle.vx *= keep;
+        particle.vy *= keep;
+    }
+};
+
+// Named option bundles for different section moods, e.g. { preset: 'flow' }
+// or <canvas data-particle-preset="flow">
+const PARTICLE_PRESETS = {
+    // The original drifting network
+    network: {
+        edges: 'bounce',
+        mouseMode: 'repel',
+        behaviors: [{ type: 'pointer' }]
+    },
+    // Particles follow invisible currents and stream across the screen
+    flow: {
+        edges: 'wrap',
+        behaviors: [
+            { type: 'flowField', scale: 0.003, strength: 0.06, speed: 0.002 },
+            { type: 'pointer' }
+        ]
+    },
+    // A slow spiral around the centre that the cursor pulls on
+    galaxy: {
+        edges: 'wrap',
+        mouseMode: 'attract',
+        behaviors: [
+            { type: 'vortex', x: 0.5, y: 0.5, strength: 0.04 },
+            { type: 'attractor', x: 0.5, y: 0.5, strength: 0.01 },
+            { type: 'pointer' }
+        ]
+    },
+    // Gentle snowfall drifting on noise
+    snow: {
+        edges: 'wrap',
+        behaviors: [
+            { type: 'gravity', x: 0, y: 0.01 },
+            { type: 'flowField', scale: 0.002, strength: 0.02 },
+            { type: 'pointer' }
+        ]
+    },
+    // Two wells that gather particles; the cursor pushes them apart
+    wells: {
+        edges: 'bounce',
+        behaviors: [
+            { type: 'attractor', x: 0.3, y: 0.5, strength: 0.04, radius: 400 },
+            { type: 'attractor', x: 0.7, y: 0.5, strength: 0.04, radius: 400 },
+            { type: 'pointer' }
+        ]
+    }
+};
+
+// Effects for tap and long-press gestures, chosen by name in config.gestures.
+// Each receives the simulation state and the pointer that made the gesture.
+const PARTICLE_GESTURES = {
+    none() {},
+    
+    // Shockwave that throws nearby particles outwards
+    pulse(state, pointer) {
+        const strength = state.config.gestures.pulseStrength;
+        const radius = pointer.radius * 1.5;
+        
+        state.particles.forEach(particle => {
+            const dx = particle.x - pointer.x;
+            const dy = particle.y - pointer.y;
+            const distance = Math.sqrt(dx * dx + dy * dy);
+            
+            if (distance < radius && distance > 0) {
+                const force = (1 - distance / radius) * strength;
+                particle.vx += (dx / distance) * force;
+                particle.vy += (dy / distance) * force;
+            }
+        });
+    },
+    
+    // Pulse plus a shower of short-lived particles from the pointer
+    burst(state, pointer) {
+        PARTICLE_GESTURES.pulse(state, pointer);
+        spawnBurst(state, pointer.x, pointer.y);
+    },
+    
+    // Pull particles in for as long as the press is held
+    attract(state, pointer) {
+        pointer.mode = 'attract';
+    },
+    
+    // Push particles away for as long as the press is held
+    repel(state, pointer) {
+        pointer.mode = 'repel';
+    }
+};
+
+// ===================================================
+// 4. PARTICLE CLASS
+// ===================================================
+// Purpose: Define individual particle motion (drawing lives in ParticleScene).
+// Instances are pooled: reset() revives one as an ambient particle and
+// emit() as a short-lived spark from a burst or emitter.
+class Particle {
+    constructor(state) {
+        this.reset(state);
+    }
+    
+    reset(state) {
+        const { config, random } = state;
+        
+        // Random starting position
+        this.x = random() * state.width;
+        this.y = random() * state.height;
+        
+        // Random velocity
+        this.vx = (random() - 0.5) * config.particleSpeed;
+        this.vy = (random() - 0.5) * config.particleSpeed;
+        
+        // Random size variation (80% to 120% of base size)
+        this.size = config.particleSize * (0.8 + random() * 0.4);
+        
+        // Random opacity for depth effect
+        this.opacity = 0.3 + random() * 0.7;
+        
+        // Lifetime in ms (Infinity for immortal ambient particles)
+        this.age = 0;
+        this.life = pickLifespan(random, config.lifespan);
+        this.spark = null;
+        this.target = null;
+        return this;
+    }
+    
+    // Launch as a spark: { color, lifespan, size, drag, gravity }
+    emit(state, x, y, vx, vy, settings) {
+        const { config, random } = state;
+        
+        this.x = x;
+        this.y = y;
+        this.vx = vx;
+        this.vy = vy;
+        this.size = config.particleSize * settings.size * (0.8 + random() * 0.4);
+        this.opacity = 0.6 + random() * 0.4;
+        this.age = 0;
+        this.life = pickLifespan(random, settings.lifespan);
+        this.target = null;
+        
+        const color = Array.isArray(settings.color)
+            ? settings.color[Math.floor(random() * settings.color.length)]
+            : settings.color;
+        this.spark = { color, drag: settings.drag, gravity: settings.gravity };
+        return this;
+    }
+    
+    // Opacity after the fade-in / fade-out envelope.
+    // Short lives shrink the fades so a quick spark still flashes bright.
+    getAlpha(config) {
+        const fadeInTime = Math.min(config.fadeIn, this.life / 4);
+        const fadeOutTime = Math.min(config.fadeOut, this.life / 2);
+        const fadeIn = fadeInTime > 0 ? this.age / fadeInTime : 1;
+        const fadeOut = fadeOutTime > 0 ? (this.life - this.age) / fadeOutTime : 1;
+        return this.opacity * Math.max(0, Math.min(1, fadeIn, fadeOut));
+    }
+    
+    // Advance by `frames` 60fps frames (fractional on other refresh rates)
+    update(state, frames) {
+        const { config } = state;
+        this.age += frames * FRAME_MS;
+        
+        if (this.spark) {
+            this.updateSpark(frames);
+            return;
+        }
+        
+        // Expired ambient particles respawn elsewhere and fade back in
+        // (a formed particle keeps its place in the shape)
+        if (this.age >= this.life) {
+            const { target } = this;
+            this.reset(state).target = target;
+            return;
+        }
+        
+        // Particles with a formation target steer there instead of drifting
+        if (this.target) {
+            this.seekTarget(state, frames);
+            return;
+        }
+        
+        // Move particle
+        this.x += this.vx * frames;
+        this.y += this.vy * frames;
+        
+        if (config.edges === 'wrap') {
+            this.wrapEdges(state);
+        } else {
+            this.bounceEdges(state);
+        }
+        
+        // Keep velocity in check
+        const maxSpeed = config.particleSpeed * 2;
+        this.vx = Math.max(-maxSpeed, Math.min(maxSpeed, this.vx));
+        this.vy = Math.max(-maxSpeed, Math.min(maxSpeed, this.vy));
+        
+        // Apply the behavior pipeline (each one nudges the velocity)
+        const { behaviors } = config;
+        for (let i = 0; i < behaviors.length; i++) {
+            const behavior = PARTICLE_BEHAVIORS[behaviors[i].type];
+            if (behavior) behavior(this, state, behaviors[i], frames);
+        }
+    }
+    
+    // Spring towards the target point; the pointer scatters, the spring re-forms
+    seekTarget(state, frames) {
+        const { formation } = state.config;
+        
+        this.vx += (this.target.x - this.x) * formation.stiffness * frames;
+        this.vy += (this.target.y - this.y) * formation.stiffness * frames;
+        PARTICLE_BEHAVIORS.pointer(this, state, { mode: 'repel', force: formation.scatterForce }, frames);
+        
+        const keep = Math.pow(formation.damping, frames);
+        this.vx *= keep;
+        this.vy *= keep;
+        this.vx = Math.max(-formation.maxSpeed, Math.min(formation.maxSpeed, this.vx));
+        this.vy = Math.max(-formation.maxSpeed, Math.min(formation.maxSpeed, this.vy));
+        
+        this.x += this.vx * frames;
+        this.y += this.vy * frames;
+    }
+    
+    // Sparks fly ballistically and ignore behaviors and edges
+    updateSpark(frames) {
+        const keep = Math.pow(this.spark.drag, frames);
+        
+        this.vx *= keep;
+        this.vy = this.vy * keep + this.spark.gravity * frames;
+        this.x += this.vx * frames;
+        this.y += this.vy * frames;
+    }
+    
+    // Bounce off edges with slight randomization
+    bounceEdges(state) {
+        if (this.x < 0 || this.x > state.width) {
+            this.vx *= -1;
+            this.vx += (state.random() - 0.5) * 0.1; // Add slight randomness
+        }
+        if (this.y < 0 || this.y > state.height) {
+            this.vy *= -1;
+            this.vy += (state.random() - 0.5) * 0.1;
+        }
+    }
+    
+    // Re-enter from the opposite side
+    wrapEdges(state) {
+        if (this.x < 0) this.x += state.width;
+        else if (this.x > state.width) this.x -= state.width;
+        
+        if (this.y < 0) this.y += state.height;
+        else if (this.y > state.height) this.y -= state.height;
+    }
+}
+
+// ===================================================
+// 5. SPATIAL GRID (BROADPHASE)
+// ===================================================
+// Purpose: Bucket particles into cells the size of the connection distance
+// Performance: Each particle only tests its own and the 8 neighbouring cells
+// instead of every other particle (O(n) instead of O(n²) for even spreads)
+class SpatialGrid {
+    constructor() {
+        this.cellSize = 1;
+        this.cols = 0;
+        this.rows = 0;
+        this.cells = [];
+    }
+    
+    // Rebuilt every frame after particles have moved
+    build(particles, width, height, cellSize) {
+        this.cellSize = cellSize;
+        this.cols = Math.max(1, Math.ceil(width / cellSize));
+        this.rows = Math.max(1, Math.ceil(height / cellSize));
+        
+        // Reuse cell arrays between frames to avoid garbage
+        const cellCount = this.cols * this.rows;
+        for (let i = 0; i < cellCount; i++) {
+            if (this.cells[i]) {
+                this.cells[i].length = 0;
+            } else {
+                this.cells[i] = [];
+            }
+        }
+        this.cells.length = cellCount;
+        
+        for (let i = 0; i < particles.length; i++) {
+            const col = this.clampCol(particles[i].x);
+            const row = this.clampRow(particles[i].y);
+            this.cells[row * this.cols + col].push(particles[i]);
+        }
+    }
+    
+    // Clamp positions so particles that bounced slightly off-canvas still land in a cell
+    clampCol(x) {
+        return Math.min(this.cols - 1, Math.max(0, Math.floor(x / this.cellSize)));
+    }
+    
+    clampRow(y) {
+        return Math.min(this.rows - 1, Math.max(0, Math.floor(y / this.cellSize)));
+    }
+    
+    // Call visit(particle) for every particle within `range` cells of (x, y)
+    forEachNearby(x, y, range, visit) {
+        const col = this.clampCol(x);
+        const row = this.clampRow(y);
+        
+        for (let r = Math.max(0, row - range); r <= Math.min(this.rows - 1, row + range); r++) {
+            for (let c = Math.max(0, col - range); c <= Math.min(this.cols - 1, col + range); c++) {
+                const cell = this.cells[r * this.cols + c];
+                for (let i = 0; i < cell.length; i++) {
+                    visit(cell[i]);
+                }
+            }
+        }
+    }
+}
+
+// ===================================================
+// 6. SIMULATION STATE & STEP
+// ===================================================
+// Purpose: Everything a simulation needs in one plain object, advanced by step().
+// Renderers read state.particles after each step and never write back.
+const FRAME_MS = 1000 / 60;   // Motion constants are tuned per frame at this rate
+const MAX_STEP_MS = 100;      // Longer gaps (stalls, background tabs) are clamped
+
+function createSimulation(options = {}) {
+    const config = applyOptions(PARTICLE_DEFAULTS, options);
+    const seed = config.seed === null ? Math.floor(Math.random() * 4294967296) : config.seed;
+    const random = createRandom(seed);
+    
+    return {
+        config,
+        ownOptions: mergeOptions({}, options), // As given, for preset switches (see reapplyOptions)
+        seed,
+        random,
+        noise: createNoise2D(random),
+        width: 0,
+        height: 0,
+        time: 0,             // Simulated milliseconds, drives time-varying behaviors
+        particles: [],       // Ambient particles (linked, formed, count follows the canvas)
+        sparks: [],          // Short-lived burst and emitter particles, oldest first
+        pool: [],            // Dead particles waiting to be reused
+        emitters: [],        // Continuous sources (see addEmitter)
+        pointers: [],        // Active pointers for the current step: { x, y, radius, mode }
+        targets: null,       // Flat [x, y, ...] formation points, or null when free
+        particleScale: 1,    // Multiplier on the particle count (set by quality tiers)
+        grid: new SpatialGrid()
+    };
+}
+
+// Change the simulated area and respawn particles to fill it
+function resizeSimulation(state, width, height) {
+    state.width = width;
+    state.height = height;
+    
+    // Old formation points no longer fit; the caller re-samples them
+    recycle(state, state.particles.splice(0));
+    state.targets = null;
+    syncParticleCount(state);
+    return state;
+}
+
+function configureSimulation(state, options) {
+    state.ownOptions = mergeOptions(state.ownOptions, options);
+    state.config = reapplyOptions(state.config, state.ownOptions, options);
+    syncParticleCount(state);
+    return state;
+}
+
+// Target count for the current size, particle scale and formation
+function getParticleTarget(state) {
+    const { particleCount, scaleWithArea } = state.config;
+    
+    // Adjust particle count based on screen size (performance optimization)
+    const scaleFactor = Math.sqrt((state.width * state.height) / BASE_AREA);
+    const baseCount = scaleWithArea ? particleCount * scaleFactor : particleCount;
+    const count = Math.floor(baseCount * state.particleScale);
+    
+    // A shape needs one particle per sampled point
+    const needed = state.targets ? Math.max(count, state.targets.length / 2) : count;
+    return Math.min(needed, state.config.particleLimit);
+}
+
+// Add or drop particles to match the target without resetting the rest
+function syncParticleCount(state) {
+    const target = getParticleTarget(state);
+    
+    // Ambient particles take priority over sparks under the global cap
+    const room = state.config.particleLimit - target;
+    if (state.sparks.length > room) {
+        recycle(state, state.sparks.splice(0, state.sparks.length - room));
+    }
+    
+    while (state.particles.length < target) {
+        const particle = state.pool.pop();
+        state.particles.push(particle ? particle.reset(state) : new Particle(state));
+    }
+    recycle(state, state.particles.splice(target));
+    return state;
+}
+
+// Return particles to the pool
+function recycle(state, particles) {
+    for (let i = 0; i < particles.length; i++) {
+        state.pool.push(particles[i]);
+    }
+}
+
+// Lifespan option to ms: null lives forever, [min, max] picks a random value
+function pickLifespan(random, lifespan) {
+    if (lifespan === null || lifespan === undefined) return Infinity;
+    if (Array.isArray(lifespan)) return lifespan[0] + random() * (lifespan[1] - lifespan[0]);
+    return lifespan;
+}
+
+// ===================================================
+// 7. BURSTS, EMITTERS & POOL
+// ===================================================
+// Purpose: Short-lived sparks on top of the ambient field. Every spark comes
+// from the pool when possible; at particleLimit the oldest spark is reused,
+// so a burst never allocates past the cap.
+function spawnSpark(state, x, y, vx, vy, settings) {
+    let particle;
+    
+    if (state.particles.length + state.sparks.length >= state.config.particleLimit) {
+        particle = state.sparks.shift();
+        if (!particle) return null;
+    } else {
+        particle = state.pool.pop() || new Particle(state);
+    }
+    
+    state.sparks.push(particle.emit(state, x, y, vx, vy, settings));
+    return particle;
+}
+
+// Explosion at (x, y); `options` override config.burst for this burst only
+function spawnBurst(state, x, y, options = {}) {
+    const settings = { ...state.config.burst, ...options };
+    
+    for (let i = 0; i < settings.count; i++) {
+        const angle = state.random() * Math.PI * 2;
+        const speed = settings.speed * (0.3 + state.random() * 0.7);
+        spawnSpark(state, x, y, Math.cos(angle) * speed, Math.sin(angle) * speed, settings);
+    }
+    return state;
+}
+
+const EMITTER_DEFAULTS = {
+    x: 0,
+    y: 0,
+    rate: 15,                  // Particles per second
+    direction: -Math.PI / 2,   // Radians; straight up by default
+    spread: Math.PI / 4,       // Total cone angle around the direction
+    speed: 1.5,                // Top launch speed (per 60fps frame)
+    color: null,               // CSS color or array; null uses colors.particle
+    lifespan: [800, 1600],
+    size: 0.8,
+    drag: 0.99,
+    gravity: 0
+};
+
+// Add a continuous source; move it later with Object.assign(emitter, { x, y })
+function addEmitter(state, options = {}) {
+    const emitter = { ...EMITTER_DEFAULTS, ...options, pending: 0 };
+    state.emitters.push(emitter);
+    return emitter;
+}
+
+function removeEmitter(state, emitter) {
+    const index = state.emitters.indexOf(emitter);
+    if (index !== -1) state.emitters.splice(index, 1);
+    return state;
+}
+
+// Emit this step's share of each emitter's rate; fractions carry over
+function runEmitters(state, elapsed) {
+    state.emitters.forEach(emitter => {
+        emitter.pending += emitter.rate * elapsed / 1000;
+        
+        while (emitter.pending >= 1) {
+            emitter.pending--;
+            const angle = emitter.direction + (state.random() - 0.5) * emitter.spread;
+            const speed = emitter.speed * (0.5 + state.random() * 0.5);
+            spawnSpark(state, emitter.x, emitter.y, Math.cos(angle) * speed, Math.sin(angle) * speed, emitter);
+        }
+    });
+}
+
+// Advance sparks and pool the expired ones, keeping oldest-first order
+function updateSparks(state, frames) {
+    const { sparks } = state;
+    let alive = 0;
+    
+    for (let i = 0; i < sparks.length; i++) {
+        const spark = sparks[i];
+        spark.update(state, frames);
+        
+        if (spark.age < spark.life) {
+            sparks[alive++] = spark;
+        } else {
+            state.pool.push(spark);
+        }
+    }
+    sparks.length = alive;
+}
+
+// Assign formation points (flat [x, y, ...]) to particles, or release them with null.
+// The points are shuffled with the seeded PRNG, which spreads particles over the
+// whole shape during a morph and keeps who-goes-where reproducible.
+function setTargets(state, points) {
+    const limit = state.config.formation.maxParticles * 2;
+    state.targets = points && points.length ? shufflePoints(Array.from(points), state.random).slice(0, limit) : null;
+    syncParticleCount(state);
+    
+    state.particles.forEach((particle, i) => {
+        particle.target = state.targets && i * 2 < state.targets.length
+            ? { x: state.targets[i * 2], y: state.targets[i * 2 + 1] }
+            : null;
+    });
+    return state;
+}
+
+// Fisher-Yates over [x, y] pairs, in place
+function shufflePoints(points, random) {
+    for (let i = points.length / 2 - 1; i > 0; i--) {
+        const j = Math.floor(random() * (i + 1));
+        [points[i * 2], points[j * 2]] = [points[j * 2], points[i * 2]];
+        [points[i * 2 + 1], points[j * 2 + 1]] = [points[j * 2 + 1], points[i * 2 + 1]];
+    }
+    return points;
+}
+
+// Advance the simulation by `dt` milliseconds.
+// inputs.pointers: pointers active during this step ({ x, y, radius, mode })
+// inputs.gestures: effects to fire first, as { name, pointer } (see PARTICLE_GESTURES)
+// inputs.bursts: explosions to spawn first, as { x, y, ...burst options }
+function step(state, dt, inputs = {}) {
+    const elapsed = Math.min(Math.max(dt, 0), MAX_STEP_MS);
+    const frames = elapsed / FRAME_MS;
+    
+    state.pointers = inputs.pointers || [];
+    (inputs.gestures || []).forEach(({ name, pointer }) => {
+        const effect = PARTICLE_GESTURES[name];
+        if (effect && pointer) effect(state, pointer);
+    });
+    (inputs.bursts || []).forEach(burst => spawnBurst(state, burst.x, burst.y, burst));
+    
+    state.time += elapsed;
+    for (let i = 0; i < state.particles.length; i++) {
+        state.particles[i].update(state, frames);
+    }
+    
+    runEmitters(state, elapsed);
+    updateSparks(state, frames);
+    return state;
+}
+
+// Call visit(a, b, distanceSq) once for every pair closer than maxDistance.
+// Leaves state.grid built with maxDistance cells (at least MIN_CELL_SIZE) for
+// further lookups. Bigger cells only mean more pairs to reject by distance.
+const MIN_CELL_SIZE = 20;
+
+function forEachLink(state, maxDistance, visit) {
+    const { particles, grid } = state;
+    const maxDistanceSq = maxDistance * maxDistance;
+    
+    grid.build(particles, state.width, state.height, Math.max(maxDistance, MIN_CELL_SIZE));
+    if (!(maxDistance > 0)) return; // No links at all
+    
+    // Only neighbouring cells can be in range.
+    // Each particle gets a stable index so every pair is emitted once.
+    particles.forEach((particle, index) => { particle.index = index; });
+    
+    particles.forEach(particle => {
+        grid.forEachNearby(particle.x, particle.y, 1, other => {
+            if (other.index <= particle.index) return;
+            
+            const dx = particle.x - other.x;
+            const dy = particle.y - other.y;
+            const distanceSq = dx * dx + dy * dy;
+            
+            if (distanceSq < maxDistanceSq) visit(particle, other, distanceSq);
+        });
+    });
+}
+
+// ===================================================
+// 8. EXPORTS
+// ===================================================
+// Browsers and the render worker share these as globals; Node gets a module
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        PARTICLE_DEFAULTS,
+        PARTICLE_BEHAVIORS,
+        PARTICLE_PRESETS,
+        PARTICLE_GESTURES,
+        FRAME_MS,
+        mergeOptions,
+        applyOptions,
+        reapplyOptions,
+        createRandom,
+        createNoise2D,
+        Particle,
+        SpatialGrid,
+        createSimulation,
+        resizeSimulation,
+        configureSimulation,
+        getParticleTarget,
+        syncParticleCount,
+        setTargets,
+        spawnBurst,
+        addEmitter,
+        removeEmitter,
+        step,
+        forEachLink
+    };
+}
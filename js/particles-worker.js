@@ -0,0 +1,81 @@
+/* 
+===================================================
+PARTICLE RENDER WORKER - Off-main-thread animation
+===================================================
+Purpose: Run a ParticleScene on an OffscreenCanvas
+Performance: Keeps particle frames off the main thread
+Messages: init, resize, pointer, gesture, burst, emitter, options, targets, start, stop
+(sent by ParticleField)
+*/
+
+// Shares the simulation core, ParticleScene and the frame loop with the main-thread renderer
+importScripts('particle-core.js', 'particles.js');
+
+let scene = null;
+let lastStatsTime = 0;
+
+// Report stats back a couple of times per second for ParticleField.getStats()
+const loop = createFrameLoop((time) => {
+    scene.frame(time);
+    
+    if (time - lastStatsTime > 500) {
+        lastStatsTime = time;
+        self.postMessage({ type: 'stats', stats: scene.getStats() });
+    }
+});
+
+self.addEventListener('message', (e) => {
+    const message = e.data;
+    
+    switch (message.type) {
+        case 'init':
+            scene = new ParticleScene(message.canvas.getContext('2d'), message.options);
+            scene.onQualityChange = tier => self.postMessage({ type: 'quality', quality: tier.name });
+            break;
+        
+        case 'resize':
+            scene.resize(message.width, message.height, message.pixelRatio);
+            self.postMessage({ type: 'stats', stats: scene.getStats() });
+            break;
+        
+        case 'pointer':
+            if (message.state) {
+                scene.updatePointer(message.id, message.state);
+            } else {
+                scene.removePointer(message.id);
+            }
+            break;
+        
+        case 'gesture':
+            scene.applyGesture(message.name, message.id);
+            break;
+        
+        case 'options':
+            scene.setOptions(message.options);
+            break;
+        
+        case 'burst':
+            scene.burst(message.x, message.y, message.options);
+            break;
+        
+        case 'emitter':
+            if (message.options) {
+                scene.setEmitter(message.id, message.options);
+            } else {
+                scene.removeEmitter(message.id);
+            }
+            break;
+        
+        case 'targets':
+            scene.setTargets(message.points);
+            break;
+        
+        case 'start':
+            loop.start();
+            break;
+        
+        case 'stop':
+            loop.stop();
+            break;
+    }
+});
@@ -2,270 +2,1182 @@
 ===================================================
 PARTICLE SYSTEM - Canvas-based background animation
 ===================================================
-Purpose: Create interactive particle network background
-Performance: Optimized with requestAnimationFrame and spatial partitioning
-Visual: Connects nearby particles with lines, responds to mouse
+Purpose: Create interactive particle network backgrounds
+Performance: Optimized with requestAnimationFrame and a uniform-grid broadphase;
+an adaptive quality governor trades detail for frame rate, and rendering
+pauses while the canvas is hidden or scrolled off-screen
+Visual: Connects nearby particles with lines, responds to mouse, touch and pen
+Visual: DPR-correct backing store, colors follow the --particle-* theme properties
+Threading: Can render on a Web Worker through OffscreenCanvas
+(see particles-worker.js, which loads this same file)
+Simulation: Particles, behaviors and presets live in particle-core.js,
+which must be loaded first
+
+Usage:
+    const field = new ParticleField(canvas, { connectionDistance: 90 });
+    field.stop(); field.start();
+    field.setOptions({ particleSpeed: 1 });
+    field.getStats();
+    field.destroy();
 */
 
 // ===================================================
-// 1. CANVAS SETUP AND CONFIGURATION
+// 1. ADAPTIVE QUALITY
 // ===================================================
-const canvas = document.getElementById('particleCanvas');
-const ctx = canvas.getContext('2d');
-
-// Configuration object for easy tweaking
-const config = {
-    particleCount: 100,        // Number of particles (adjust for performance)
-    particleSize: 2,           // Base particle radius
-    particleSpeed: 0.5,        // Base movement speed
-    connectionDistance: 120,   // Max distance for particle connections
-    mouseRadius: 150,          // Mouse interaction radius
-    mouseForce: 0.5,          // Strength of mouse attraction/repulsion
-    colors: {
-        particle: 'rgba(99, 102, 241, 0.8)',      // Particle color
-        connection: 'rgba(99, 102, 241, 0.15)',   // Connection line color
-        mouseConnection: 'rgba(129, 140, 248, 0.3)' // Mouse connection color
-    }
-};
-
-// Mouse position tracking
-let mouse = {
-    x: null,
-    y: null,
-    radius: config.mouseRadius
-};
+// Purpose: Watch frame times and step detail down when frames run long,
+// back up when there is headroom. Ordered lowest to highest.
+const QUALITY_TIERS = [
+    { name: 'low', particleScale: 0.4, connectionScale: 0.7, trails: false, maxPixelRatio: 1 },
+    { name: 'medium', particleScale: 0.7, connectionScale: 0.85, trails: true, maxPixelRatio: 1.5 },
+    { name: 'high', particleScale: 1, connectionScale: 1, trails: true, maxPixelRatio: 2 }
+];
 
-// Particle array
-let particles = [];
+class QualityGovernor {
+    constructor() {
+        this.windowSize = 60;  // Frames per measurement window
+        this.lastTime = null;
+        this.frames = 0;
+        this.totalDelta = 0;
+        this.totalWork = 0;
+        this.goodWindows = 0;  // Consecutive windows with headroom
+        this.cooldown = 0;     // Windows to skip after a change settles
+        this.fps = 0;
+    }
+    
+    // Feed one frame: rAF timestamp and the ms spent on the frame itself.
+    // Returns -1 to step down, +1 to step up, 0 to stay.
+    sample(time, work, targetFps) {
+        const delta = this.lastTime === null ? null : time - this.lastTime;
+        this.lastTime = time;
+        
+        // Skip the first frame and gaps from pauses or background tabs
+        if (delta === null || delta > 250) return 0;
+        
+        this.frames++;
+        this.totalDelta += delta;
+        this.totalWork += work;
+        if (this.frames < this.windowSize) return 0;
+        
+        const budget = 1000 / targetFps;
+        const averageDelta = this.totalDelta / this.frames;
+        const averageWork = this.totalWork / this.frames;
+        this.fps = Math.round(1000 / averageDelta);
+        this.frames = 0;
+        this.totalDelta = 0;
+        this.totalWork = 0;
+        
+        if (this.cooldown > 0) {
+            this.cooldown--;
+            return 0;
+        }
+        
+        // Frame work that no longer fits, or late frames the work is a big part of:
+        // drop a tier straight away. Late frames with little work mean the display
+        // itself is capped (30 Hz, battery saver), which fewer particles won't fix.
+        const late = averageDelta > budget * 1.25;
+        if (averageWork > budget * 0.75 || (late && averageWork > budget * 0.6)) {
+            this.goodWindows = 0;
+            this.cooldown = 1;
+            return -1;
+        }
+        
+        // Plenty of spare work budget for three windows: try a tier up
+        if (averageWork < budget * 0.5) {
+            this.goodWindows++;
+            if (this.goodWindows >= 3) {
+                this.goodWindows = 0;
+                this.cooldown = 1;
+                return 1;
+            }
+        } else {
+            this.goodWindows = 0;
+        }
+        return 0;
+    }
+}
 
 // ===================================================
-// 2. RESPONSIVE CANVAS SIZING
+// 2. PARTICLE SCENE
 // ===================================================
-// Purpose: Ensure canvas fills container and maintains quality on all screens
-function resizeCanvas() {
-    // Get actual display size
-    const rect = canvas.getBoundingClientRect();
-    
-    // Set canvas size to match display size
-    canvas.width = rect.width;
-    canvas.height = rect.height;
-    
-    // Adjust particle count based on screen size (performance optimization)
-    const area = canvas.width * canvas.height;
-    const baseArea = 1920 * 1080;
-    const scaleFactor = Math.sqrt(area / baseArea);
-    config.particleCount = Math.floor(100 * scaleFactor);
-    
-    // Reinitialize particles with new canvas size
-    initParticles();
-}
+// Purpose: Drive one simulation state (particle-core.js) from the frame loop
+// and draw it: pointers, quality tiers and batched drawing for one canvas.
+// Has no DOM access, so it runs unchanged inside the render worker.
+const OPACITY_BANDS = 4;
 
-// Listen for window resize with debouncing
-let resizeTimeout;
-window.addEventListener('resize', () => {
-    clearTimeout(resizeTimeout);
-    resizeTimeout = setTimeout(resizeCanvas, 100);
-});
-
-// Initial setup
-resizeCanvas();
+// Pick an opacity band from a squared distance without taking the root.
+// Band 0 is the faintest (farthest), band OPACITY_BANDS - 1 the strongest.
+function getOpacityBand(distanceSq, maxDistance) {
+    for (let band = OPACITY_BANDS - 1; band > 0; band--) {
+        const limit = maxDistance * (1 - band / OPACITY_BANDS);
+        if (distanceSq < limit * limit) return band;
+    }
+    return 0;
+}
 
-// ===================================================
-// 3. PARTICLE CLASS
-// ===================================================
-// Purpose: Define individual particle behavior and rendering
-class Particle {
-    constructor() {
-        // Random starting position
-        this.x = Math.random() * canvas.width;
-        this.y = Math.random() * canvas.height;
+class ParticleScene {
+    constructor(ctx, options) {
+        this.ctx = ctx;
+        this.state = createSimulation(options); // Simulation data (see particle-core.js)
+        this.pixelRatio = 1;
+        this.pointers = new Map(); // pointerId -> { x, y, radius, mode }
+        this.pendingGestures = []; // Fired on the next step, as { name, pointer }
+        this.pendingBursts = [];   // Spawned on the next step, as { x, y, ...options }
+        this.emitters = new Map(); // emitterId -> core emitter
+        this.lastTime = null;
         
-        // Random velocity
-        this.vx = (Math.random() - 0.5) * config.particleSpeed;
-        this.vy = (Math.random() - 0.5) * config.particleSpeed;
+        // Adaptive quality: current tier, the governor and the uncapped ratio
+        this.governor = new QualityGovernor();
+        this.tierIndex = this.getFixedTierIndex();
+        this.state.particleScale = this.getTier().particleScale;
+        this.requestedPixelRatio = 1;
+        this.onQualityChange = null; // Called with the new tier
         
-        // Random size variation (80% to 120% of base size)
-        this.size = config.particleSize * (0.8 + Math.random() * 0.4);
+        // Segment buffers per band, stored flat as [x1, y1, x2, y2, ...]
+        this.connectionBatches = Array.from({ length: OPACITY_BANDS }, () => []);
+        this.mouseBatches = Array.from({ length: OPACITY_BANDS }, () => []);
+        this.connectionCount = 0;
+    }
+    
+    // Read-through views of the simulation state
+    get config() {
+        return this.state.config;
+    }
+    
+    get particles() {
+        return this.state.particles;
+    }
+    
+    get targets() {
+        return this.state.targets;
+    }
+    
+    get width() {
+        return this.state.width;
+    }
+    
+    get height() {
+        return this.state.height;
+    }
+    
+    // Apply a display size to the backing store and respawn particles.
+    // Width/height are CSS pixels; the backing store is scaled by pixelRatio
+    // and the transform maps CSS pixels onto it, so all drawing stays in CSS units.
+    resize(width, height, pixelRatio = 1) {
+        this.requestedPixelRatio = pixelRatio;
+        resizeSimulation(this.state, width, height);
+        this.applyPixelRatio();
+    }
+    
+    // Size the backing store for the requested ratio, capped by the quality tier
+    applyPixelRatio() {
+        const pixelRatio = Math.min(this.requestedPixelRatio, this.getTier().maxPixelRatio);
+        
+        this.pixelRatio = pixelRatio;
+        this.ctx.canvas.width = Math.round(this.width * pixelRatio);
+        this.ctx.canvas.height = Math.round(this.height * pixelRatio);
+        this.ctx.setTransform(pixelRatio, 0, 0, pixelRatio, 0, 0);
+    }
+    
+    getTier() {
+        return QUALITY_TIERS[this.tierIndex];
+    }
+    
+    // Tier index for a fixed `quality` option; 'auto' starts at the top
+    getFixedTierIndex() {
+        const index = QUALITY_TIERS.findIndex(tier => tier.name === this.config.quality);
+        return index === -1 ? QUALITY_TIERS.length - 1 : index;
+    }
+    
+    setTier(index) {
+        if (index === this.tierIndex) return;
         
-        // Random opacity for depth effect
-        this.opacity = 0.3 + Math.random() * 0.7;
+        this.tierIndex = index;
+        this.state.particleScale = this.getTier().particleScale;
+        this.applyPixelRatio();
+        syncParticleCount(this.state);
+        if (this.onQualityChange) this.onQualityChange(this.getTier());
+    }
+    
+    // Assign formation points (flat [x, y, ...]) to particles, or release them with null
+    setTargets(points) {
+        setTargets(this.state, points);
+    }
+    
+    setOptions(options) {
+        configureSimulation(this.state, options);
+        if (options.quality) this.setTier(this.getFixedTierIndex());
+    }
+    
+    // Track or move one pointer: { x, y, radius, mode? }. Each pointer has
+    // its own influence radius; an omitted mode keeps the current one.
+    updatePointer(id, state) {
+        const pointer = this.pointers.get(id) || { mode: null };
+        
+        pointer.x = state.x;
+        pointer.y = state.y;
+        pointer.radius = state.radius;
+        if (state.mode !== undefined) pointer.mode = state.mode;
+        
+        this.pointers.set(id, pointer);
+    }
+    
+    removePointer(id) {
+        this.pointers.delete(id);
+    }
+    
+    // Queue a named gesture effect at a pointer (see PARTICLE_GESTURES)
+    applyGesture(name, id) {
+        const pointer = this.pointers.get(id);
+        if (pointer) this.pendingGestures.push({ name, pointer });
+    }
+    
+    // Queue an explosion at (x, y) in CSS pixels; options override config.burst
+    burst(x, y, options = {}) {
+        this.pendingBursts.push({ ...options, x, y });
     }
     
-    // Update particle position
-    update() {
-        // Move particle
-        this.x += this.vx;
-        this.y += this.vy;
+    // Create or update an emitter by id (position and options in one object)
+    setEmitter(id, options) {
+        const emitter = this.emitters.get(id);
         
-        // Bounce off edges with slight randomization
-        if (this.x < 0 || this.x > canvas.width) {
-            this.vx *= -1;
-            this.vx += (Math.random() - 0.5) * 0.1; // Add slight randomness
+        if (emitter) {
+            Object.assign(emitter, options);
+        } else {
+            this.emitters.set(id, addEmitter(this.state, options));
         }
-        if (this.y < 0 || this.y > canvas.height) {
-            this.vy *= -1;
-            this.vy += (Math.random() - 0.5) * 0.1;
+    }
+    
+    removeEmitter(id) {
+        const emitter = this.emitters.get(id);
+        if (emitter) removeEmitter(this.state, emitter);
+        this.emitters.delete(id);
+    }
+    
+    // One simulation + render step; `time` is the rAF timestamp.
+    // The step covers the real time since the last frame, so motion speed
+    // does not depend on the display's refresh rate.
+    frame(time) {
+        const { ctx } = this;
+        const startTime = performance.now();
+        const delta = time === undefined || this.lastTime === null || time - this.lastTime > 250
+            ? FRAME_MS
+            : time - this.lastTime;
+        this.lastTime = time === undefined ? null : time;
+        
+        step(this.state, delta, {
+            pointers: Array.from(this.pointers.values()),
+            gestures: this.pendingGestures,
+            bursts: this.pendingBursts
+        });
+        this.pendingGestures = [];
+        this.pendingBursts = [];
+        
+        // Clear canvas with slight trail effect (creates motion blur),
+        // or plainly when the quality tier has trails switched off
+        if (this.getTier().trails) {
+            ctx.fillStyle = this.config.trailColor;
+            ctx.fillRect(0, 0, this.width, this.height);
+        } else {
+            ctx.clearRect(0, 0, this.width, this.height);
         }
         
-        // Keep velocity in check
-        const maxSpeed = config.particleSpeed * 2;
-        this.vx = Math.max(-maxSpeed, Math.min(maxSpeed, this.vx));
-        this.vy = Math.max(-maxSpeed, Math.min(maxSpeed, this.vy));
+        this.drawParticles();
+        this.connectParticles();
         
-        // Mouse interaction
-        if (mouse.x !== null && mouse.y !== null) {
-            const dx = mouse.x - this.x;
-            const dy = mouse.y - this.y;
-            const distance = Math.sqrt(dx * dx + dy * dy);
-            
-            // If mouse is nearby, apply force
-            if (distance < mouse.radius) {
-                const force = (mouse.radius - distance) / mouse.radius;
-                const angle = Math.atan2(dy, dx);
-                
-                // Repel particles from mouse
-                this.vx -= Math.cos(angle) * force * config.mouseForce;
-                this.vy -= Math.sin(angle) * force * config.mouseForce;
-            }
+        // Let the governor adjust the tier (adaptive mode only)
+        if (this.config.quality === 'auto' && time !== undefined) {
+            const change = this.governor.sample(time, performance.now() - startTime, this.config.targetFps);
+            const index = Math.max(0, Math.min(QUALITY_TIERS.length - 1, this.tierIndex + change));
+            this.setTier(index);
         }
     }
     
-    // Draw particle
-    draw() {
+    // Ambient particles, then sparks on top in their own colors
+    drawParticles() {
+        const { ctx, config } = this;
+        const drawParticle = particle => {
+            ctx.globalAlpha = particle.getAlpha(config);
+            ctx.beginPath();
+            ctx.arc(particle.x, particle.y, particle.size, 0, Math.PI * 2);
+            ctx.fill();
+        };
+        
         ctx.fillStyle = config.colors.particle;
-        ctx.globalAlpha = this.opacity;
-        ctx.beginPath();
-        ctx.arc(this.x, this.y, this.size, 0, Math.PI * 2);
-        ctx.fill();
+        this.particles.forEach(drawParticle);
+        
+        this.state.sparks.forEach(spark => {
+            ctx.fillStyle = spark.spark.color || config.colors.particle;
+            drawParticle(spark);
+        });
+        
         ctx.globalAlpha = 1;
     }
+    
+    // Purpose: Draw lines between nearby particles
+    // Optimization: Grid lookups replace the all-pairs loop, distances are compared
+    // squared (no Math.sqrt), and lines are batched into one stroke per opacity band
+    connectParticles() {
+        const { config } = this;
+        const maxDistance = this.targets
+            ? config.formation.connectionDistance
+            : config.connectionDistance * this.getTier().connectionScale;
+        
+        // Particle-to-particle links (this also builds the grid used below)
+        this.connectionCount = 0;
+        forEachLink(this.state, maxDistance, (particle, other, distanceSq) => {
+            const band = getOpacityBand(distanceSq, maxDistance);
+            this.connectionBatches[band].push(particle.x, particle.y, other.x, other.y);
+            this.connectionCount++;
+        });
+        
+        // Pointer links: a pointer's radius may span more than one cell
+        const { grid } = this.state;
+        this.pointers.forEach(pointer => {
+            const radius = pointer.radius;
+            const radiusSq = radius * radius;
+            const range = Math.ceil(radius / grid.cellSize);
+            
+            grid.forEachNearby(pointer.x, pointer.y, range, particle => {
+                const dx = particle.x - pointer.x;
+                const dy = particle.y - pointer.y;
+                const distanceSq = dx * dx + dy * dy;
+                
+                if (distanceSq < radiusSq) {
+                    const band = getOpacityBand(distanceSq, radius);
+                    this.mouseBatches[band].push(particle.x, particle.y, pointer.x, pointer.y);
+                }
+            });
+        });
+        
+        this.strokeBatches(this.connectionBatches, config.colors.connection, 1, 0.5);
+        this.strokeBatches(this.mouseBatches, config.colors.mouseConnection, 2, 1);
+    }
+    
+    // Stroke each band as a single path; alpha is the band's mid-point opacity
+    strokeBatches(batches, color, lineWidth, alphaScale) {
+        const { ctx } = this;
+        ctx.strokeStyle = color;
+        ctx.lineWidth = lineWidth;
+        
+        batches.forEach((segments, band) => {
+            if (segments.length === 0) return;
+            
+            ctx.globalAlpha = ((band + 0.5) / OPACITY_BANDS) * alphaScale;
+            ctx.beginPath();
+            for (let i = 0; i < segments.length; i += 4) {
+                ctx.moveTo(segments[i], segments[i + 1]);
+                ctx.lineTo(segments[i + 2], segments[i + 3]);
+            }
+            ctx.stroke();
+            segments.length = 0;
+        });
+        
+        ctx.globalAlpha = 1;
+    }
+    
+    clear() {
+        this.ctx.clearRect(0, 0, this.width, this.height);
+    }
+    
+    getStats() {
+        return {
+            particles: this.particles.length,
+            sparks: this.state.sparks.length,
+            connections: this.connectionCount,
+            width: this.width,
+            height: this.height,
+            pixelRatio: this.pixelRatio,
+            quality: this.getTier().name,
+            fps: this.governor.fps
+        };
+    }
 }
 
 // ===================================================
-// 4. PARTICLE INITIALIZATION
+// 3. FORMATION SAMPLING
 // ===================================================
-// Purpose: Create initial particle array
-function initParticles() {
-    particles = [];
-    for (let i = 0; i < config.particleCount; i++) {
-        particles.push(new Particle());
-    }
+// Purpose: Rasterize text or SVG to an offscreen canvas and sample target
+// points from its opaque pixels. Runs on the main thread (fonts and SVG
+// images live there); the resulting points are handed to the scene.
+function createRasterContext(width, height) {
+    const raster = typeof OffscreenCanvas !== 'undefined'
+        ? new OffscreenCanvas(width, height)
+        : Object.assign(document.createElement('canvas'), { width, height });
+    return raster.getContext('2d');
 }
 
-// ===================================================
-// 5. PARTICLE CONNECTIONS
-// ===================================================
-// Purpose: Draw lines between nearby particles
-// Optimization: Only check nearby particles using spatial partitioning
-function connectParticles() {
-    for (let i = 0; i < particles.length; i++) {
-        for (let j = i + 1; j < particles.length; j++) {
-            const dx = particles[i].x - particles[j].x;
-            const dy = particles[i].y - particles[j].y;
-            const distance = Math.sqrt(dx * dx + dy * dy);
-            
-            // Draw connection if particles are close enough
-            if (distance < config.connectionDistance) {
-                // Calculate opacity based on distance (closer = more opaque)
-                const opacity = 1 - (distance / config.connectionDistance);
-                
-                ctx.strokeStyle = config.colors.connection;
-                ctx.globalAlpha = opacity * 0.5;
-                ctx.lineWidth = 1;
-                ctx.beginPath();
-                ctx.moveTo(particles[i].x, particles[i].y);
-                ctx.lineTo(particles[j].x, particles[j].y);
-                ctx.stroke();
-                ctx.globalAlpha = 1;
-            }
-        }
-        
-        // Connect to mouse if nearby
-        if (mouse.x !== null && mouse.y !== null) {
-            const dx = particles[i].x - mouse.x;
-            const dy = particles[i].y - mouse.y;
-            const distance = Math.sqrt(dx * dx + dy * dy);
-            
-            if (distance < mouse.radius) {
-                const opacity = 1 - (distance / mouse.radius);
-                ctx.strokeStyle = config.colors.mouseConnection;
-                ctx.globalAlpha = opacity;
-                ctx.lineWidth = 2;
-                ctx.beginPath();
-                ctx.moveTo(particles[i].x, particles[i].y);
-                ctx.lineTo(mouse.x, mouse.y);
-                ctx.stroke();
-                ctx.globalAlpha = 1;
+// Collect every `gap`-th opaque pixel as a flat [x, y, ...] array, row by row.
+// setTargets() (particle-core.js) shuffles them with the simulation's seed.
+function sampleOpaquePixels(ctx, width, height, gap, maxPoints) {
+    const { data } = ctx.getImageData(0, 0, width, height);
+    let points = [];
+    
+    // Widen the gap until the shape fits in the particle budget. Past the
+    // canvas size only pixel (0, 0) is left, so stop there and trim.
+    for (let step = Math.max(1, Math.floor(gap) || 1); ; step += 1) {
+        points = [];
+        for (let y = 0; y < height; y += step) {
+            for (let x = 0; x < width; x += step) {
+                if (data[(y * width + x) * 4 + 3] > 128) points.push(x, y);
             }
         }
+        if (points.length / 2 <= maxPoints || step > Math.max(width, height)) break;
     }
+    
+    return new Float32Array(points.slice(0, Math.max(0, maxPoints) * 2));
+}
+
+// Sample a string, with the font size fitted to the canvas
+function sampleText(text, width, height, formation) {
+    const ctx = createRasterContext(width, height);
+    const fontAt = size => formation.font.replace('{size}', size);
+    
+    // Measure at 100px, then scale to the allowed width and height
+    ctx.font = fontAt(100);
+    const measured = ctx.measureText(text).width || 1;
+    const size = Math.floor(Math.min(
+        (width * formation.fill / measured) * 100,
+        height * formation.fill * 0.5
+    ));
+    
+    ctx.font = fontAt(size);
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'middle';
+    ctx.fillStyle = '#000';
+    ctx.fillText(text, width / 2, height / 2);
+    
+    return sampleOpaquePixels(ctx, width, height, formation.sampleGap, formation.maxParticles);
+}
+
+// Sample an <svg> element (e.g. the nav logo); resolves once its image has loaded
+function sampleSvg(svg, width, height, formation) {
+    const markup = new XMLSerializer().serializeToString(svg);
+    const url = URL.createObjectURL(new Blob([markup], { type: 'image/svg+xml' }));
+    const image = new Image();
+    
+    return new Promise((resolve, reject) => {
+        image.onload = () => {
+            const ctx = createRasterContext(width, height);
+            const viewBox = svg.viewBox && svg.viewBox.baseVal;
+            const aspect = viewBox && viewBox.height ? viewBox.width / viewBox.height : 1;
+            
+            // Fit inside the allowed area, centred
+            const drawHeight = Math.min(height * formation.fill, (width * formation.fill) / aspect);
+            const drawWidth = drawHeight * aspect;
+            ctx.drawImage(image, (width - drawWidth) / 2, (height - drawHeight) / 2, drawWidth, drawHeight);
+            
+            URL.revokeObjectURL(url);
+            resolve(sampleOpaquePixels(ctx, width, height, formation.sampleGap, formation.maxParticles));
+        };
+        image.onerror = () => {
+            URL.revokeObjectURL(url);
+            reject(new Error('Could not rasterize SVG for particle formation'));
+        };
+        image.src = url;
+    });
 }
 
 // ===================================================
-// 6. ANIMATION LOOP
+// 4. FRAME LOOP
 // ===================================================
-// Purpose: Main render loop using requestAnimationFrame
-// Performance: Only renders when tab is visible
-let animationFrameId;
+// Purpose: requestAnimationFrame loop that can only ever run once.
+// Dedicated workers only gained requestAnimationFrame recently; fall back to ~60fps timers.
+const requestFrame = typeof requestAnimationFrame === 'function'
+    ? callback => requestAnimationFrame(callback)
+    : callback => setTimeout(() => callback(performance.now()), 1000 / 60);
+const cancelFrame = typeof cancelAnimationFrame === 'function'
+    ? id => cancelAnimationFrame(id)
+    : id => clearTimeout(id);
 
-function animate() {
-    // Clear canvas with slight trail effect (creates motion blur)
-    ctx.fillStyle = 'rgba(15, 15, 35, 0.1)';
-    ctx.fillRect(0, 0, canvas.width, canvas.height);
-    
-    // Update and draw all particles
-    particles.forEach(particle => {
-        particle.update();
-        particle.draw();
-    });
+function createFrameLoop(onFrame) {
+    let frameId = null;
     
-    // Draw connections
-    connectParticles();
+    const tick = (time) => {
+        frameId = requestFrame(tick);
+        onFrame(time);
+    };
     
-    // Continue animation loop
-    animationFrameId = requestAnimationFrame(animate);
+    return {
+        start() {
+            if (frameId === null) frameId = requestFrame(tick);
+        },
+        stop() {
+            if (frameId !== null) {
+                cancelFrame(frameId);
+                frameId = null;
+            }
+        },
+        get running() {
+            return frameId !== null;
+        }
+    };
 }
 
 // ===================================================
-// 7. MOUSE TRACKING
+// 5. PARTICLE FIELD (PUBLIC API)
 // ===================================================
-// Purpose: Track mouse position for particle interaction
-canvas.addEventListener('mousemove', (e) => {
-    const rect = canvas.getBoundingClientRect();
-    mouse.x = e.clientX - rect.left;
-    mouse.y = e.clientY - rect.top;
-});
+// Purpose: Bind a ParticleScene to a canvas element, its DOM events and
+// a render loop (inline or in a worker), with a full lifecycle
+const IS_WORKER = typeof document === 'undefined';
 
-// Reset mouse position when cursor leaves canvas
-canvas.addEventListener('mouseleave', () => {
-    mouse.x = null;
-    mouse.y = null;
-});
+// Resolve the worker next to this script so it works from any page depth
+const PARTICLE_WORKER_URL = !IS_WORKER && document.currentScript
+    ? new URL('particles-worker.js', document.currentScript.src).href
+    : 'js/particles-worker.js';
 
-// ===================================================
-// 8. VISIBILITY API
-// ===================================================
-// Purpose: Pause animation when tab is not visible (performance optimization)
-document.addEventListener('visibilitychange', () => {
-    if (document.hidden) {
-        // Cancel animation when tab is hidden
-        if (animationFrameId) {
-            cancelAnimationFrame(animationFrameId);
-        }
-    } else {
-        // Resume animation when tab becomes visible
-        animate();
-    }
-});
+class ParticleField {
+    constructor(canvas, options = {}) {
+        this.canvas = canvas;
+        this.ownOptions = mergeOptions({}, options); // As given; the scene resolves them the same way
+        this.options = applyOptions(PARTICLE_DEFAULTS, options);
+        
+        // Rendering backends (exactly one is set)
+        this.scene = null;
+        this.worker = null;
+        this.workerStats = null;
+        this.loop = null;
+        
+        // Lifecycle state
+        this.running = false;
+        this.destroyed = false;
+        this.listeners = [];
+        this.resizeTimeout = null;
+        
+        // Press bookkeeping for tap / long-press detection, by pointerId
+        this.presses = new Map();
+        
+        // Off-screen pausing (assume visible until the observer reports)
+        this.inView = true;
+        this.visibilityObserver = null;
+        
+        // Tier this field wrote to <html data-quality> (reportQuality)
+        this.reportedQuality = null;
+        
+        // Formation state: what is formed (re-sampled on resize), whether it still
+        // waits for a canvas size, and the morph timer
+        this.formationSource = null;
+        this.formationPending = false;
+        this.morphTimer = null;
+        
+        // Watchers for display density and theme changes
+        this.pixelRatioQuery = null;
+        this.themeObserver = null;
+        
+        // DOM-anchored emitters, by id: { element, anchor, options }
+        this.emitters = new Map();
+        this.nextEmitterId = 1;
+        
+        this.init();
+    }
+    
+    init() {
+        // Start with the current theme's colors
+        if (this.options.themeColors) {
+            const theme = this.readThemeColors();
+            this.ownOptions = mergeOptions(this.ownOptions, theme);
+            this.options = mergeOptions(this.options, theme);
+        }
+        
+        if (this.options.useWorker && ParticleField.supportsWorker(this.canvas)) {
+            try {
+                this.startWorker();
+            } catch (error) {
+                console.warn('⚠️ Particle worker unavailable, rendering on main thread:', error);
+                this.worker = null;
+            }
+        }
+        
+        if (!this.worker) {
+            this.scene = new ParticleScene(this.canvas.getContext('2d'), this.ownOptions);
+            this.loop = createFrameLoop(time => this.scene.frame(time));
+            this.scene.onQualityChange = tier => this.handleQualityChange(tier.name);
+        }
+        
+        this.resize();
+        this.setupEvents();
+        this.watchPixelRatio();
+        this.watchTheme();
+    }
+    
+    static supportsWorker(canvas) {
+        return typeof Worker !== 'undefined' &&
+            typeof OffscreenCanvas !== 'undefined' &&
+            typeof canvas.transferControlToOffscreen === 'function';
+    }
+    
+    // Purpose: Move the update/draw loop off the main thread so scroll handlers,
+    // parallax and carousel drags don't compete with particle frames
+    startWorker() {
+        // Create the worker before transferring: once transferred the canvas can
+        // never hand out a 2D context again, so there is no going back afterwards
+        this.worker = new Worker(PARTICLE_WORKER_URL);
+        const offscreen = this.canvas.transferControlToOffscreen();
+        
+        this.worker.postMessage({ type: 'init', canvas: offscreen, options: this.ownOptions }, [offscreen]);
+        
+        this.worker.addEventListener('message', (e) => {
+            if (e.data.type === 'stats') this.workerStats = e.data.stats;
+            if (e.data.type === 'quality') this.handleQualityChange(e.data.quality);
+        });
+        this.worker.addEventListener('error', (e) => {
+            console.error('❌ Particle worker error:', e.message);
+        });
+    }
+    
+    // ===================================================
+    // 6. EVENT WIRING
+    // ===================================================
+    // Every listener goes through listen() so destroy() can remove it
+    listen(target, type, handler, options) {
+        target.addEventListener(type, handler, options);
+        this.listeners.push({ target, type, handler, options });
+    }
+    
+    setupEvents() {
+        // Listen for window resize with debouncing
+        this.listen(window, 'resize', () => {
+            clearTimeout(this.resizeTimeout);
+            this.resizeTimeout = setTimeout(() => this.resize(), 100);
+        });
+        
+        this.setupPointers();
+        
+        // Pause animation when tab is not visible (performance optimization)
+        this.listen(document, 'visibilitychange', () => this.updateRendering());
+        
+        // ...and while the canvas is scrolled out of view
+        if (typeof IntersectionObserver !== 'undefined') {
+            this.visibilityObserver = new IntersectionObserver((entries) => {
+                this.inView = entries[entries.length - 1].isIntersecting;
+                this.updateRendering();
+                if (this.inView && this.formationPending) this.applyFormation(this.formationSource);
+            });
+            this.visibilityObserver.observe(this.canvas);
+        }
+    }
+    
+    // Size changes go to the worker or straight to the scene
+    resize() {
+        // Get actual display size and density
+        const rect = this.canvas.getBoundingClientRect();
+        const pixelRatio = this.getPixelRatio();
+        
+        if (this.worker) {
+            this.worker.postMessage({ type: 'resize', width: rect.width, height: rect.height, pixelRatio });
+        } else {
+            this.scene.resize(rect.width, rect.height, pixelRatio);
+        }
+        
+        // Re-form the current shape at the new size
+        if (this.formationSource) {
+            this.applyFormation(this.formationSource);
+        }
+        this.updateEmitters();
+    }
+    
+    // The single place that starts or stops frames: running, tab visible and
+    // canvas on screen. Loop start/stop are idempotent, so only one loop ever runs.
+    updateRendering() {
+        const shouldRender = this.running && !document.hidden && this.inView;
+        
+        if (shouldRender) {
+            this.resumeRendering();
+        } else {
+            this.pauseRendering();
+        }
+    }
+    
+    pauseRendering() {
+        if (this.worker) {
+            this.worker.postMessage({ type: 'stop' });
+        } else {
+            this.loop.stop();
+        }
+    }
+    
+    resumeRendering() {
+        if (this.worker) {
+            this.worker.postMessage({ type: 'start' });
+        } else {
+            this.loop.start();
+        }
+    }
+    
+    // ===================================================
+    // 7. POINTER INPUT
+    // ===================================================
+    // Purpose: Pointer Events for mouse, touch and pen, several at once.
+    // Listening on the canvas's parent means the hero overlay content
+    // (title, buttons) no longer hides the cursor from the field.
+    getInteractionTarget() {
+        const target = this.options.interactionTarget;
+        
+        if (target === 'canvas') return this.canvas;
+        if (target === 'parent') return this.canvas.parentElement || this.canvas;
+        return document.querySelector(target) || this.canvas;
+    }
+    
+    setupPointers() {
+        const target = this.getInteractionTarget();
+        
+        const toCanvas = (e) => {
+            const rect = this.canvas.getBoundingClientRect();
+            const radius = e.pointerType === 'touch' ? this.options.touchRadius : this.options.mouseRadius;
+            return { x: e.clientX - rect.left, y: e.clientY - rect.top, radius };
+        };
+        
+        // Don't turn clicks on buttons and links into particle gestures
+        const isControl = (e) => e.target.closest && e.target.closest('a, button, input, textarea, select, label');
+        
+        this.listen(target, 'pointermove', (e) => {
+            const { x, y, radius } = toCanvas(e);
+            this.sendPointer(e.pointerId, { x, y, radius });
+            
+            // Anchors such as the magnetic CTA button shift under the cursor
+            if (this.emitters.size) this.updateEmitters();
+            
+            // Moving too far turns a press into a drag: no tap, no long-press
+            const press = this.presses.get(e.pointerId);
+            if (press && Math.hypot(e.clientX - press.x, e.clientY - press.y) > 10) {
+                clearTimeout(press.timer);
+                press.moved = true;
+            }
+        });
+        
+        this.listen(target, 'pointerdown', (e) => {
+            const { x, y, radius } = toCanvas(e);
+            this.sendPointer(e.pointerId, { x, y, radius });
+            
+            // Only the main mouse button taps; right-clicks open the context menu
+            if (isControl(e) || (e.pointerType === 'mouse' && e.button !== 0)) return;
+            
+            const { gestures } = this.options;
+            const press = { x: e.clientX, y: e.clientY, time: performance.now(), moved: false, long: false };
+            press.timer = setTimeout(() => {
+                press.long = true;
+                this.sendGesture(gestures.longPress, e.pointerId);
+            }, gestures.longPressDelay);
+            this.presses.set(e.pointerId, press);
+        });
+        
+        // Touch pointers end with the finger; mouse and pen stay hovering
+        const endPress = (e, cancelled) => {
+            const press = this.presses.get(e.pointerId);
+            if (press) {
+                clearTimeout(press.timer);
+                this.presses.delete(e.pointerId);
+                
+                if (!cancelled && !press.moved && !press.long) {
+                    this.sendGesture(this.options.gestures.tap, e.pointerId);
+                }
+                if (press.long) {
+                    // End the held effect (e.g. attract) for this pointer
+                    this.sendPointer(e.pointerId, { ...toCanvas(e), mode: null });
+                }
+            }
+            
+            if (e.pointerType === 'touch' || cancelled) {
+                this.sendPointer(e.pointerId, null);
+            }
+        };
+        
+        this.listen(target, 'pointerup', (e) => endPress(e, false));
+        // Fired when the browser takes over a touch for scrolling
+        this.listen(target, 'pointercancel', (e) => endPress(e, true));
+        
+        // Reset pointer when it leaves the interactive area
+        this.listen(target, 'pointerleave', (e) => {
+            const press = this.presses.get(e.pointerId);
+            if (press) {
+                clearTimeout(press.timer);
+                this.presses.delete(e.pointerId);
+            }
+            this.sendPointer(e.pointerId, null);
+        });
+    }
+    
+    // Pointer state and gestures go to the worker or straight to the scene.
+    // `state` is { x, y, radius, mode? } or null to remove the pointer.
+    sendPointer(id, state) {
+        if (this.worker) {
+            this.worker.postMessage({ type: 'pointer', id, state });
+        } else if (state) {
+            this.scene.updatePointer(id, state);
+        } else {
+            this.scene.removePointer(id);
+        }
+    }
+    
+    sendGesture(name, id) {
+        if (this.worker) {
+            this.worker.postMessage({ type: 'gesture', name, id });
+        } else {
+            this.scene.applyGesture(name, id);
+        }
+    }
+    
+    // ===================================================
+    // 8. HIDPI, THEME & QUALITY
+    // ===================================================
+    // Purpose: Keep the backing store sharp on retina screens and follow
+    // the light/dark theme toggled by main.js
+    getPixelRatio() {
+        return Math.min(window.devicePixelRatio || 1, this.options.maxPixelRatio);
+    }
+    
+    // devicePixelRatio changes when the window moves to another screen or the
+    // page is zoomed; a resolution query fires once, so re-arm it every time
+    watchPixelRatio() {
+        if (!window.matchMedia) return;
+        
+        const query = window.matchMedia(`(resolution: ${window.devicePixelRatio || 1}dppx)`);
+        const onChange = () => {
+            query.removeEventListener('change', onChange);
+            this.pixelRatioQuery = null;
+            if (this.destroyed) return;
+            
+            this.resize();
+            this.watchPixelRatio();
+        };
+        
+        query.addEventListener('change', onChange);
+        this.pixelRatioQuery = { query, onChange };
+    }
+    
+    // Map CSS custom properties (see styles.css) onto color options;
+    // unset properties leave the configured colors alone
+    readThemeColors() {
+        const styles = getComputedStyle(this.canvas);
+        const read = name => styles.getPropertyValue(name).trim() || undefined;
+        const theme = {
+            colors: {
+                particle: read('--particle-color'),
+                connection: read('--particle-connection-color'),
+                mouseConnection: read('--particle-mouse-color')
+            },
+            trailColor: read('--particle-trail-color')
+        };
+        
+        // Drop unset values so they don't overwrite configured colors
+        Object.keys(theme.colors).forEach(key => {
+            if (theme.colors[key] === undefined) delete theme.colors[key];
+        });
+        if (theme.trailColor === undefined) delete theme.trailColor;
+        
+        return theme;
+    }
+    
+    // Theme switches touch the body class and inline properties on <html>
+    watchTheme() {
+        if (!this.options.themeColors || typeof MutationObserver === 'undefined') return;
+        
+        let current = JSON.stringify(this.readThemeColors());
+        this.themeObserver = new MutationObserver(() => {
+            const theme = this.readThemeColors();
+            const serialized = JSON.stringify(theme);
+            
+            if (serialized !== current) {
+                current = serialized;
+                this.setOptions(theme);
+            }
+        });
+        
+        const watched = { attributes: true, attributeFilter: ['class', 'style'] };
+        this.themeObserver.observe(document.documentElement, watched);
+        this.themeObserver.observe(document.body, watched);
+    }
+    
+    // Publish tier changes: an event on the canvas, and optionally
+    // <html data-quality="..."> so CSS and other modules can scale back too
+    handleQualityChange(quality) {
+        if (this.options.reportQuality) {
+            document.documentElement.dataset.quality = quality;
+            this.reportedQuality = quality; // Taken back on destroy()
+        }
+        this.canvas.dispatchEvent(new CustomEvent('particlequality', { detail: { quality } }));
+        console.log(`🌌 Particle quality: ${quality}`);
+    }
+    
+    // ===================================================
+    // 9. TEXT & LOGO FORMATION
+    // ===================================================
+    // Purpose: Steer particles into a word or logo; the pointer scatters
+    // them and they re-form afterwards
+    formText(text) {
+        this.stopMorph();
+        return this.applyFormation({ text });
+    }
+    
+    // Form an <svg> element such as the nav logo (async: the SVG is rasterized as an image)
+    formSvg(svg) {
+        this.stopMorph();
+        return this.applyFormation({ svg });
+    }
+    
+    // Cycle through several strings (or SVG elements) every `interval` ms
+    morph(shapes, { interval = 4000, loop = true } = {}) {
+        this.stopMorph();
+        if (!shapes.length) return this;
+        
+        let index = 0;
+        const showNext = () => {
+            const shape = shapes[index];
+            this.applyFormation(typeof shape === 'string' ? { text: shape } : { svg: shape });
+            
+            index++;
+            if (index < shapes.length || loop) {
+                index %= shapes.length;
+                this.morphTimer = setTimeout(showNext, interval);
+            } else {
+                this.morphTimer = null;
+            }
+        };
+        
+        showNext();
+        return this;
+    }
+    
+    stopMorph() {
+        clearTimeout(this.morphTimer);
+        this.morphTimer = null;
+    }
+    
+    // Let the particles drift freely again
+    release() {
+        this.stopMorph();
+        this.formationSource = null;
+        this.formationPending = false;
+        this.sendTargets(null);
+        return this;
+    }
+    
+    applyFormation(source) {
+        if (this.destroyed) return this;
+        
+        this.formationSource = source;
+        const rect = this.canvas.getBoundingClientRect();
+        const { formation } = this.options;
+        
+        // A hidden or collapsed canvas has no pixels to sample; keep the shape
+        // pending until a resize or the canvas coming into view gives it a size
+        this.formationPending = rect.width < 1 || rect.height < 1;
+        if (this.formationPending) return this;
+        
+        if (source.text !== undefined) {
+            this.sendTargets(sampleText(source.text, Math.floor(rect.width), Math.floor(rect.height), formation));
+        } else {
+            sampleSvg(source.svg, Math.floor(rect.width), Math.floor(rect.height), formation)
+                .then(points => {
+                    // Ignore results that were overtaken by another shape
+                    if (this.formationSource === source) this.sendTargets(points);
+                })
+                .catch(error => console.error('❌', error.message));
+        }
+        return this;
+    }
+    
+    sendTargets(points) {
+        if (this.worker) {
+            this.worker.postMessage({ type: 'targets', points }, points ? [points.buffer] : []);
+        } else if (this.scene) {
+            this.scene.setTargets(points);
+        }
+    }
+    
+    // ===================================================
+    // 10. BURSTS & EMITTERS
+    // ===================================================
+    // Purpose: Short-lived sparks from explosions and from emitters anchored
+    // to page elements. Coordinates are CSS pixels relative to the canvas.
+    burst(x, y, options = {}) {
+        if (this.worker) {
+            this.worker.postMessage({ type: 'burst', x, y, options });
+        } else if (this.scene) {
+            this.scene.burst(x, y, options);
+        }
+        return this;
+    }
+    
+    // Stream particles from an element (or selector, or a fixed { x, y } point).
+    // options.anchor is the point within the element, as fractions of its box.
+    // Returns an id for removeEmitter().
+    addEmitter(target, options = {}) {
+        const element = typeof target === 'string' ? document.querySelector(target) : target;
+        if (!element) return null;
+        
+        const { anchor = { x: 0.5, y: 0.5 }, ...settings } = options;
+        const id = this.nextEmitterId++;
+        
+        this.emitters.set(id, { element, anchor, options: settings });
+        this.updateEmitters();
+        return id;
+    }
+    
+    removeEmitter(id) {
+        if (!this.emitters.delete(id)) return this;
+        this.sendEmitter(id, null);
+        return this;
+    }
+    
+    // Re-measure every anchor; fixed points are passed through
+    updateEmitters() {
+        if (!this.emitters.size) return;
+        
+        const canvasRect = this.canvas.getBoundingClientRect();
+        this.emitters.forEach(({ element, anchor, options }, id) => {
+            let position = element;
+            
+            if (typeof element.getBoundingClientRect === 'function') {
+                const rect = element.getBoundingClientRect();
+                position = {
+                    x: rect.left - canvasRect.left + rect.width * anchor.x,
+                    y: rect.top - canvasRect.top + rect.height * anchor.y
+                };
+            }
+            this.sendEmitter(id, { ...options, x: position.x, y: position.y });
+        });
+    }
+    
+    // `options` is the full emitter state, or null to remove it
+    sendEmitter(id, options) {
+        if (this.worker) {
+            this.worker.postMessage({ type: 'emitter', id, options });
+        } else if (!this.scene) {
+            return;
+        } else if (options) {
+            this.scene.setEmitter(id, options);
+        } else {
+            this.scene.removeEmitter(id);
+        }
+    }
+    
+    // ===================================================
+    // 11. LIFECYCLE
+    // ===================================================
+    start() {
+        if (this.destroyed || this.running) return this;
+        
+        this.running = true;
+        this.updateRendering();
+        return this;
+    }
+    
+    stop() {
+        if (!this.running) return this;
+        
+        this.running = false;
+        this.updateRendering();
+        return this;
+    }
+    
+    // Merge new options at runtime (colors, speeds, counts...)
+    setOptions(options) {
+        if (this.destroyed) return this;
+        
+        this.ownOptions = mergeOptions(this.ownOptions, options);
+        this.options = reapplyOptions(this.options, this.ownOptions, options);
+        if (this.worker) {
+            this.worker.postMessage({ type: 'options', options });
+        } else {
+            this.scene.setOptions(options);
+        }
+        return this;
+    }
+    
+    getStats() {
+        const stats = this.worker ? this.workerStats : this.scene && this.scene.getStats();
+        
+        return {
+            renderer: this.worker ? 'worker' : 'main',
+            running: this.running,
+            ...(stats || {})
+        };
+    }
+    
+    // Stop rendering, drop every listener and release the canvas
+    destroy() {
+        if (this.destroyed) return;
+        
+        this.stop();
+        this.stopMorph();
+        this.destroyed = true;
+        clearTimeout(this.resizeTimeout);
+        this.presses.forEach(press => clearTimeout(press.timer));
+        this.presses.clear();
+        this.emitters.clear();
+        
+        this.listeners.forEach(({ target, type, handler, options }) => {
+            target.removeEventListener(type, handler, options);
+        });
+        this.listeners = [];
+        
+        if (this.pixelRatioQuery) {
+            this.pixelRatioQuery.query.removeEventListener('change', this.pixelRatioQuery.onChange);
+            this.pixelRatioQuery = null;
+        }
+        if (this.themeObserver) {
+            this.themeObserver.disconnect();
+            this.themeObserver = null;
+        }
+        if (this.visibilityObserver) {
+            this.visibilityObserver.disconnect();
+            this.visibilityObserver = null;
+        }
+        
+        // Unless another field has reported since
+        const root = document.documentElement;
+        if (this.reportedQuality && root.dataset.quality === this.reportedQuality) {
+            delete root.dataset.quality;
+        }
+        this.reportedQuality = null;
+        
+        if (this.worker) {
+            this.worker.terminate();
+            this.worker = null;
+        } else if (this.scene) {
+            this.scene.clear();
+            this.scene = null;
+        }
+    }
+}
 
 // ===================================================
-// 9. INITIALIZATION
+// 12. AUTO-INITIALIZATION
 // ===================================================
-// Start the animation
-initParticles();
-animate();
-
-// Log initialization
-console.log('🌌 Particle system initialized');
-console.log(`   Particles: ${config.particleCount}`);
-console.log(`   Canvas size: ${canvas.width}x${canvas.height}`);
+// Purpose: Start the page's hero field. Skipped inside the worker,
+// which drives its own ParticleScene by message.
+if (!IS_WORKER) {
+    const heroCanvas = document.getElementById('particleCanvas');
+    
+    if (heroCanvas) {
+        // Pages pick a mood with <canvas data-particle-preset="flow">
+        const preset = heroCanvas.dataset.particlePreset || null;
+        const particleField = new ParticleField(heroCanvas, { preset, reportQuality: true }).start();
+        
+        // Expose to window for debugging (optional)
+        window.particleField = particleField;
+        
+        // Opt-in: <canvas data-particle-morph> cycles the hero title words and the nav logo
+        if (heroCanvas.hasAttribute('data-particle-morph')) {
+            const words = Array.from(document.querySelectorAll('.title-line[data-text]'))
+                .map(line => line.dataset.text);
+            const logo = document.querySelector('.logo-svg');
+            particleField.morph(logo ? [...words, logo] : words, { interval: 5000 });
+        }
+        
+        // Opt-in: elements marked data-particle-emitter (e.g. the CTA button) stream particles
+        const section = heroCanvas.parentElement || document;
+        section.querySelectorAll('[data-particle-emitter]').forEach(element => {
+            particleField.addEmitter(element, { rate: Number(element.dataset.particleEmitter) || 12 });
+        });
+        
+        // Log initialization
+        const stats = particleField.getStats();
+        console.log('🌌 Particle system initialized');
+        console.log(`   Renderer: ${stats.renderer}`);
+        if (stats.renderer === 'main') {
+            console.log(`   Particles: ${stats.particles}`);
+            console.log(`   Canvas size: ${stats.width}x${stats.height}`);
+        }
+    }
+}
@@ -0,0 +1,117 @@
+/* 
+===================================================
+PARTICLE CORE TESTS - Determinism and frame-rate independence
+===================================================
+Purpose: Check the headless simulation (js/particle-core.js) under Node
+Run: node --test test/
+*/
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+    createSimulation,
+    resizeSimulation,
+    configureSimulation,
+    setTargets,
+    step,
+    forEachLink
+} = require('../js/particle-core.js');
+
+// A small field with a fixed particle count, stepped for one second at `hz`
+function simulate(options, hz, inputs) {
+    const state = createSimulation({ seed: 42, particleCount: 60, scaleWithArea: false, ...options });
+    resizeSimulation(state, 800, 600);
+    for (let i = 0; i < hz; i++) {
+        step(state, 1000 / hz, inputs);
+    }
+    return state;
+}
+
+function countLinksWithin(state, maxDistance) {
+    let links = 0;
+    forEachLink(state, maxDistance, () => links++);
+    return links;
+}
+
+function countLinks(state) {
+    return countLinksWithin(state, 150);
+}
+
+// Distance on the canvas, counting wrap-around edges as close
+function wrappedDistance(a, b, state) {
+    const dx = Math.abs(a.x - b.x);
+    const dy = Math.abs(a.y - b.y);
+    return Math.hypot(Math.min(dx, state.width - dx), Math.min(dy, state.height - dy));
+}
+
+test('same seed and inputs give the same particles and links', () => {
+    const inputs = { pointers: [{ x: 400, y: 300, radius: 150 }] };
+    const first = simulate({}, 60, inputs);
+    const second = simulate({}, 60, inputs);
+    
+    assert.deepEqual(
+        second.particles.map(({ x, y }) => [x, y]),
+        first.particles.map(({ x, y }) => [x, y])
+    );
+    assert.equal(countLinks(second), countLinks(first));
+});
+
+test('a different seed gives different particles', () => {
+    const first = simulate({ seed: 1 }, 60);
+    const second = simulate({ seed: 2 }, 60);
+    
+    assert.notDeepEqual(
+        second.particles.map(({ x, y }) => [x, y]),
+        first.particles.map(({ x, y }) => [x, y])
+    );
+});
+
+test('30, 60 and 120 Hz steps end up close together', () => {
+    ['network', 'flow'].forEach(preset => {
+        const reference = simulate({ preset }, 60);
+        
+        [30, 120].forEach(hz => {
+            const state = simulate({ preset }, hz);
+            assert.equal(state.particles.length, reference.particles.length);
+            
+            state.particles.forEach((particle, i) => {
+                const distance = wrappedDistance(particle, reference.particles[i], state);
+                assert.ok(distance < 5, `${preset} at ${hz} Hz: particle ${i} is ${distance.toFixed(2)}px off`);
+            });
+        });
+    });
+});
+
+test('formation targets are assigned the same way for the same seed', () => {
+    const points = [];
+    for (let i = 0; i < 100; i++) points.push(i * 8, 300);
+    
+    const assign = () => {
+        const state = createSimulation({ seed: 42 });
+        resizeSimulation(state, 800, 600);
+        setTargets(state, points);
+        return state.particles.map(particle => particle.target && particle.target.x);
+    };
+    
+    assert.deepEqual(assign(), assign());
+});
+
+test('a zero link distance gives no links and a small grid', () => {
+    const state = simulate({}, 1);
+    
+    assert.equal(countLinksWithin(state, 0), 0);
+    assert.ok(state.grid.cells.length < 2000);
+    
+    // Tiny distances still get reasonably sized cells
+    countLinksWithin(state, 0.5);
+    assert.ok(state.grid.cells.length < 2000);
+});
+
+test('switching presets leaves nothing of the previous one behind', () => {
+    const state = createSimulation({ seed: 42, preset: 'galaxy', particleSize: 3 });
+    configureSimulation(state, { preset: 'flow' });
+    
+    const expected = createSimulation({ seed: 42, preset: 'flow', particleSize: 3 }).config;
+    assert.deepEqual(state.config, expected);
+    assert.equal(state.config.particleSize, 3);
+});